@@ -0,0 +1,140 @@
+/**
+ * Locale Control Widget
+ * Provides a language switcher with localStorage persistence and looks up
+ * translated strings from the bundles registered with LocaleControl.register()
+ */
+
+class LocaleControl {
+    constructor(options = {}) {
+        this.locales = options.locales || { en: 'English', es: 'Español', pt: 'Português' };
+        this.defaultLocale = options.defaultLocale || 'en';
+        this.storageKey = options.storageKey || 'nmap_demo_locale';
+        this.listeners = [];
+
+        this.currentLocale = this.loadLocale();
+        this.init();
+    }
+
+    /**
+     * Add strings to a locale's bundle. Bundles are plain objects keyed by string id;
+     * later registrations for the same locale are merged in.
+     */
+    static register(locale, strings) {
+        LocaleControl.bundles[locale] = Object.assign(LocaleControl.bundles[locale] || {}, strings);
+        // Bundles can load after the widget, so refresh any markup they translate
+        if (window.localeControl) {
+            window.localeControl.applyTranslations();
+        }
+    }
+
+    loadLocale() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved && this.locales[saved]) {
+            return saved;
+        }
+        return this.defaultLocale;
+    }
+
+    saveLocale(locale) {
+        localStorage.setItem(this.storageKey, locale);
+    }
+
+    /**
+     * Look up a string in the current locale, falling back to the default locale
+     * and then to the key itself, so untranslated strings still show in English
+     */
+    t(key) {
+        const bundle = LocaleControl.bundles[this.currentLocale] || {};
+        const fallback = LocaleControl.bundles[this.defaultLocale] || {};
+        if (bundle[key] !== undefined) return bundle[key];
+        if (fallback[key] !== undefined) return fallback[key];
+        return key;
+    }
+
+    has(key) {
+        return [this.currentLocale, this.defaultLocale].some(locale =>
+            LocaleControl.bundles[locale] && LocaleControl.bundles[locale][key] !== undefined);
+    }
+
+    setLocale(locale) {
+        if (!this.locales[locale] || locale === this.currentLocale) {
+            return;
+        }
+        this.currentLocale = locale;
+        this.saveLocale(locale);
+        this.applyTranslations();
+        if (this.select) {
+            this.select.value = locale;
+        }
+        this.listeners.forEach(callback => callback(locale));
+    }
+
+    /**
+     * Call back whenever the language changes, so pages can re-render script-built text
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Translate static markup: data-i18n sets an element's text, data-i18n-html its HTML.
+     * Keys no bundle has yet leave the markup as written.
+     */
+    applyTranslations(root = document) {
+        document.documentElement.lang = this.currentLocale;
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (this.has(element.dataset.i18n)) element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            if (this.has(element.dataset.i18nHtml)) element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+    }
+
+    createWidget() {
+        const widget = document.createElement('div');
+        widget.className = 'locale-control';
+        widget.innerHTML = `
+            <select class="locale-select" aria-label="Language" title="Language">
+                ${Object.keys(this.locales).map(locale => `<option value="${locale}">${this.locales[locale]}</option>`).join('')}
+            </select>
+        `;
+
+        this.select = widget.querySelector('.locale-select');
+        this.select.value = this.currentLocale;
+        this.select.addEventListener('change', () => this.setLocale(this.select.value));
+
+        return widget;
+    }
+
+    init() {
+        // Apply saved language on load
+        this.applyTranslations();
+
+        // Create and insert widget, next to the font size control when there is one
+        const widget = this.createWidget();
+        const container = document.createElement('div');
+        container.className = 'locale-control-container';
+        container.appendChild(widget);
+
+        const innerNav = document.querySelector('.inner-navigation');
+        if (innerNav) {
+            innerNav.insertBefore(container, innerNav.querySelector('.font-size-control-container'));
+        } else {
+            container.classList.add('floating');
+            document.body.appendChild(container);
+        }
+    }
+}
+
+// Registered string bundles, keyed by locale
+LocaleControl.bundles = {};
+
+// Pages read translated strings while their scripts run, so initialize right away
+// when the navigation bar is already in the document
+if (document.readyState === 'loading' && !document.querySelector('.inner-navigation')) {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.localeControl = new LocaleControl();
+    });
+} else {
+    window.localeControl = new LocaleControl();
+}
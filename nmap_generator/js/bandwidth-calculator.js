@@ -0,0 +1,181 @@
+/**
+ * Bandwidth Calculator - Estimates probe rate, bandwidth and per-target load for a
+ * timing configuration, and checks them against a link capacity and a per-host budget
+ */
+
+class BandwidthCalculator {
+    /**
+     * @param {TimingEngine} timingEngine - Resolves host group size and parallelism
+     */
+    constructor(timingEngine) {
+        this.timingEngine = timingEngine;
+
+        // Round trip assumed when no link RTT is known; probes in flight free up once per round trip
+        this.defaultRttMs = 100;
+
+        // Frame sizes in bytes: Ethernet header plus IP packet, padded to the 60-byte minimum.
+        // A SYN carries an MSS option (20 IP + 24 TCP), an SCTP INIT is 20 IP + 12 common
+        // header + 20 INIT chunk, and a UDP probe is 20 IP + 8 UDP plus its payload.
+        this.ethernetHeaderBytes = 14;
+        this.minFrameBytes = 60;
+        this.ipPacketBytes = { tcp: 44, sctp: 52, udp: 28 };
+
+        // Replies are mostly SYN/ACK, RST or ICMP unreachable, all minimum-size frames
+        this.replyFrameBytes = 60;
+
+        // Share of the link the suggested --max-rate leaves the scan
+        this.linkShare = 0.5;
+    }
+
+    /**
+     * Calculate the load for each protocol phase of a scan
+     * @param {Object} params - Timing values (see getCurrentTimingParams)
+     * @param {string} protocol - 'tcp', 'udp', 'tcp-udp' or 'sctp'
+     * @param {Object} context - { linkRttMs, hosts, udpPayloadBytes, linkCapacityMbps, hostBudgetPps }
+     * @returns {Object} { phases, peak, warnings } where each phase is { protocol, frameBytes,
+     *     totalPps, perHostPps, hostsInParallel, bytesPerSecond, perHostBytesPerSecond,
+     *     replyBytesPerSecond, limitedBy } and peak is the phase with the most traffic
+     */
+    calculate(params, protocol, context = {}) {
+        // Combined scans run the TCP phase and then the UDP phase, so they never overlap
+        const protocols = protocol === 'tcp-udp' ? ['tcp', 'udp'] : [protocol];
+        const phases = protocols.map(proto => this.calculatePhase(params, proto, context));
+        const peak = phases.reduce((max, phase) => phase.bytesPerSecond > max.bytesPerSecond ? phase : max);
+
+        return { phases, peak, warnings: this.checkLimits(peak, context) };
+    }
+
+    /**
+     * Calculate the load for one protocol
+     */
+    calculatePhase(params, protocol, context) {
+        const rttMs = context.linkRttMs > 0 ? context.linkRttMs : this.defaultRttMs;
+        const hosts = Math.max(1, parseInt(context.hosts, 10) || 1);
+
+        const hostgroup = this.timingEngine.effectiveHostgroup(params, hosts);
+        const concurrency = Math.max(1, this.timingEngine.effectiveParallelism(params));
+
+        // Probes in flight are shared by the group, one host at a time at most per probe
+        const hostsInParallel = Math.min(hostgroup, concurrency);
+        let totalPps = concurrency * 1000 / rttMs;
+        let limitedBy = 'parallelism';
+
+        // --scan-delay is enforced per host
+        if (params.scanDelayMs > 0 && hostsInParallel * 1000 / params.scanDelayMs < totalPps) {
+            totalPps = hostsInParallel * 1000 / params.scanDelayMs;
+            limitedBy = 'scanDelay';
+        }
+        // --max-rate and --min-rate apply to the whole scan
+        if (params.maxRate > 0 && params.maxRate < totalPps) {
+            totalPps = params.maxRate;
+            limitedBy = 'maxRate';
+        }
+        if (params.minRate > 0 && params.minRate > totalPps) {
+            totalPps = params.minRate;
+            limitedBy = 'minRate';
+        }
+
+        const frameBytes = this.frameBytes(protocol, context.udpPayloadBytes);
+        const perHostPps = totalPps / hostsInParallel;
+
+        return {
+            protocol,
+            frameBytes,
+            totalPps,
+            perHostPps,
+            hostsInParallel,
+            bytesPerSecond: totalPps * frameBytes,
+            perHostBytesPerSecond: perHostPps * frameBytes,
+            replyBytesPerSecond: totalPps * this.replyFrameBytes,
+            limitedBy
+        };
+    }
+
+    /**
+     * Size of one probe on the wire
+     */
+    frameBytes(protocol, udpPayloadBytes = 0) {
+        const payload = protocol === 'udp' ? Math.max(0, udpPayloadBytes || 0) : 0;
+        const packet = (this.ipPacketBytes[protocol] || this.ipPacketBytes.tcp) + payload;
+        return Math.max(this.minFrameBytes, this.ethernetHeaderBytes + packet);
+    }
+
+    /**
+     * Compare the busiest phase with the link capacity and per-host budget
+     * @returns {Array} Warnings as { limit, severity, message } where limit is 'link' or 'host'
+     */
+    checkLimits(phase, context) {
+        const warnings = [];
+
+        if (context.linkCapacityMbps > 0) {
+            const capacityBytes = context.linkCapacityMbps * 1000000 / 8;
+            const share = phase.bytesPerSecond / capacityBytes;
+            const safeRate = Math.max(1, Math.floor(capacityBytes * this.linkShare / phase.frameBytes));
+            if (share > 1) {
+                warnings.push({
+                    limit: 'link',
+                    severity: 'error',
+                    message: `Probes need ${this.formatBits(phase.bytesPerSecond)} but the link carries ${context.linkCapacityMbps} Mbit/s; add --max-rate ${safeRate} to use half of it`
+                });
+            } else if (share > this.linkShare) {
+                warnings.push({
+                    limit: 'link',
+                    severity: 'warning',
+                    message: `Probes use ${Math.round(share * 100)}% of the ${context.linkCapacityMbps} Mbit/s link, before replies; --max-rate ${safeRate} keeps it to half`
+                });
+            }
+        }
+
+        if (context.hostBudgetPps > 0 && phase.perHostPps > context.hostBudgetPps) {
+            warnings.push({
+                limit: 'host',
+                severity: 'warning',
+                message: `Each target gets up to ${this.formatPps(phase.perHostPps)}, over its budget of ${this.formatPps(context.hostBudgetPps)}; ` +
+                    `add --scan-delay ${Math.ceil(1000 / context.hostBudgetPps)}ms or --max-rate ${Math.max(1, Math.floor(context.hostBudgetPps * phase.hostsInParallel))}`
+            });
+        }
+
+        return warnings;
+    }
+
+    formatPps(pps) {
+        if (pps >= 100) return Math.round(pps).toLocaleString('en-US') + ' pps';
+        if (pps >= 1) return pps.toFixed(1) + ' pps';
+        return (pps * 60).toFixed(1) + ' per min';
+    }
+
+    /**
+     * Format bytes per second, e.g. "1.2 MB/s"
+     */
+    formatBytes(bytesPerSecond) {
+        const units = ['B/s', 'KB/s', 'MB/s', 'GB/s'];
+        let value = bytesPerSecond;
+        let unit = 0;
+        while (value >= 1000 && unit < units.length - 1) {
+            value /= 1000;
+            unit++;
+        }
+        return (value >= 100 || unit === 0 ? Math.round(value) : value.toFixed(1)) + ' ' + units[unit];
+    }
+
+    /**
+     * Format bytes per second as a bit rate, e.g. "9.6 Mbit/s"
+     */
+    formatBits(bytesPerSecond) {
+        const units = ['bit/s', 'kbit/s', 'Mbit/s', 'Gbit/s'];
+        let value = bytesPerSecond * 8;
+        let unit = 0;
+        while (value >= 1000 && unit < units.length - 1) {
+            value /= 1000;
+            unit++;
+        }
+        return (value >= 100 || unit === 0 ? Math.round(value) : value.toFixed(1)) + ' ' + units[unit];
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BandwidthCalculator;
+} else {
+    window.BandwidthCalculator = BandwidthCalculator;
+}
@@ -0,0 +1,245 @@
+/**
+ * Campaign Planner - Splits a target scope into batches that fit allowed time windows,
+ * and picks --max-hostgroup and --host-timeout so each batch ends inside its window
+ */
+
+class CampaignPlanner {
+    constructor() {
+        // Share of each window a batch's typical estimate may fill; the rest covers
+        // host discovery, DNS and estimate error
+        this.windowFill = 0.8;
+
+        // Window lines look like "2026-10-20 22:00 to 04:00" or
+        // "2026-10-20 22:00 - 2026-10-21 06:00"; an end time without a date that is
+        // not after the start time falls on the next day
+        this.windowPattern = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}:\d{2})\s*(?:-|to)\s*(?:(\d{4}-\d{2}-\d{2})[ T])?(\d{1,2}:\d{2})$/i;
+    }
+
+    /**
+     * Parse allowed windows, one per line. Blank lines and # comments are skipped.
+     * @returns {Object} { windows, errors } where windows are { start, end, seconds, label }
+     *     sorted by start time
+     */
+    parseWindows(text) {
+        const windows = [];
+        const errors = [];
+
+        text.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) return;
+
+            const match = line.match(this.windowPattern);
+            if (!match) {
+                errors.push(`Line ${index + 1}: "${line}" is not a window (e.g. 2026-10-20 22:00 to 04:00)`);
+                return;
+            }
+
+            const start = this.parseDateTime(match[1], match[2]);
+            let end = this.parseDateTime(match[3] || match[1], match[4]);
+            if (!start || !end) {
+                errors.push(`Line ${index + 1}: invalid date or time`);
+                return;
+            }
+            if (!match[3] && end <= start) {
+                end = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1, end.getHours(), end.getMinutes());
+            }
+            if (end <= start) {
+                errors.push(`Line ${index + 1}: the window ends before it starts`);
+                return;
+            }
+
+            windows.push({ start, end, seconds: (end - start) / 1000, label: `${this.formatDateTime(start)} - ${this.formatDateTime(end)}` });
+        });
+
+        windows.sort((a, b) => a.start - b.start);
+        for (let i = 1; i < windows.length; i++) {
+            if (windows[i].start < windows[i - 1].end) {
+                errors.push(`Windows ${windows[i - 1].label} and ${windows[i].label} overlap`);
+            }
+        }
+
+        return { windows, errors };
+    }
+
+    /**
+     * Local date and time from "YYYY-MM-DD" and "HH:MM", or null if out of range
+     */
+    parseDateTime(dateText, timeText) {
+        const [year, month, day] = dateText.split('-').map(Number);
+        const [hours, minutes] = timeText.split(':').map(Number);
+        if (month < 1 || month > 12 || hours > 23 || minutes > 59) {
+            return null;
+        }
+        const date = new Date(year, month - 1, day, hours, minutes);
+        // Reject days the Date constructor would roll over, such as February 30
+        return date.getDate() === day ? date : null;
+    }
+
+    /**
+     * Plan one batch per window until every target is scheduled
+     * @param {Object} input - { entries, windows, ports, protocol } where entries come from
+     *     TargetSpecBuilder.build() and ports is a count or counts keyed by protocol
+     * @param {Object} params - Timing values (see getCurrentTimingParams)
+     * @param {ScanDurationEstimator} estimator - Used to size each batch and its host group
+     * @returns {Object} { batches, totalHosts, unscheduledHosts, warnings } where batches
+     *     are { window, hostCount, lines, hostgroup, hostTimeoutMs, params, estimateSeconds }
+     *     and params are the timing values with the batch's hostgroup and host timeout
+     */
+    plan(input, params, estimator) {
+        const warnings = [];
+        const queue = this.buildUnits(input.entries.filter(entry => !entry.error), warnings);
+        const totalHosts = queue.reduce((sum, unit) => sum + unit.count, 0);
+        const batches = [];
+
+        input.windows.forEach(window => {
+            const remaining = queue.reduce((sum, unit) => sum + unit.count, 0);
+            if (remaining === 0) return;
+
+            const capacity = this.hostsPerBatch(window.seconds, remaining, input, params, estimator);
+            if (capacity === 0) {
+                warnings.push(`${window.label} is too short for even one host at this timing`);
+                return;
+            }
+
+            const batch = { window, hostCount: 0, lines: [] };
+            while (queue.length > 0 && batch.hostCount < capacity) {
+                const unit = queue[0];
+                const room = capacity - batch.hostCount;
+                if (unit.count <= room) {
+                    batch.lines.push(...this.unitLines(unit));
+                    batch.hostCount += unit.count;
+                    queue.shift();
+                } else if (unit.start !== undefined) {
+                    // Address blocks split at any host
+                    batch.lines.push(...this.intervalToCidrs(unit.start, unit.start + room - 1));
+                    batch.hostCount += room;
+                    unit.start += room;
+                    unit.count -= room;
+                } else if (batch.hostCount === 0) {
+                    warnings.push(`${unit.spec} (${unit.count.toLocaleString('en-US')} hosts) cannot be split and may overrun ${window.label}`);
+                    batch.lines.push(unit.spec);
+                    batch.hostCount += unit.count;
+                    queue.shift();
+                } else {
+                    break;
+                }
+            }
+
+            // Nmap finishes each host group before the next, so a per-group host timeout
+            // bounds the whole batch even when hosts respond slower than estimated
+            batch.hostgroup = estimator.timingEngine.effectiveHostgroup(params, batch.hostCount);
+            const groups = Math.ceil(batch.hostCount / batch.hostgroup);
+            let hostTimeoutMs = window.seconds * 1000 * this.windowFill / groups;
+            hostTimeoutMs = hostTimeoutMs >= 60000 ?
+                Math.floor(hostTimeoutMs / 60000) * 60000 :
+                Math.max(1000, Math.floor(hostTimeoutMs / 1000) * 1000);
+            batch.hostTimeoutMs = params.hostTimeoutMs > 0 ? Math.min(params.hostTimeoutMs, hostTimeoutMs) : hostTimeoutMs;
+
+            // --min-hostgroup above the batch's group size would make Nmap refuse the command
+            batch.params = Object.assign({}, params, {
+                minHostgroup: Math.min(params.minHostgroup || 0, batch.hostgroup),
+                maxHostgroup: batch.hostgroup,
+                hostTimeoutMs: batch.hostTimeoutMs
+            });
+            batch.estimateSeconds = estimator.estimate({
+                hosts: batch.hostCount,
+                ports: input.ports,
+                protocol: input.protocol
+            }, batch.params).typical.seconds;
+            batches.push(batch);
+        });
+
+        const unscheduledHosts = queue.reduce((sum, unit) => sum + unit.count, 0);
+        if (unscheduledHosts > 0) {
+            warnings.push(`${unscheduledHosts.toLocaleString('en-US')} hosts do not fit the windows; add more windows or speed up the timing`);
+        }
+
+        return { batches, totalHosts, unscheduledHosts, warnings };
+    }
+
+    /**
+     * Largest host count whose typical estimate fits in the usable part of a window
+     */
+    hostsPerBatch(seconds, maxHosts, input, params, estimator) {
+        const usable = seconds * this.windowFill;
+        const fits = (hosts) => estimator.estimate({ hosts, ports: input.ports, protocol: input.protocol }, params).typical.seconds <= usable;
+
+        if (!fits(1)) {
+            return 0;
+        }
+        let low = 1;
+        let high = maxHosts;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (fits(middle)) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Turn target entries into units that can be scheduled: IPv4 address intervals,
+     * which can be split, and whole specs (hostnames, IPv6, huge ranges), which cannot
+     */
+    buildUnits(entries, warnings) {
+        const units = [];
+        entries.forEach(entry => {
+            if (entry.intervals) {
+                entry.intervals.forEach(([start, end]) => {
+                    units.push({ start, end, count: end - start + 1 });
+                });
+            } else {
+                if (entry.count > 1) {
+                    warnings.push(`${entry.spec} is kept in one batch because its addresses are not expanded`);
+                }
+                units.push({ spec: entry.spec, count: entry.count });
+            }
+        });
+        return units;
+    }
+
+    unitLines(unit) {
+        return unit.start !== undefined ? this.intervalToCidrs(unit.start, unit.end) : [unit.spec];
+    }
+
+    /**
+     * Cover an address interval with the fewest CIDR blocks
+     */
+    intervalToCidrs(start, end) {
+        const blocks = [];
+        let current = start;
+        while (current <= end) {
+            // Largest aligned block starting here that stays inside the interval
+            let size = 1;
+            while (current % (size * 2) === 0 && current + size * 2 - 1 <= end && size < 4294967296) {
+                size *= 2;
+            }
+            const prefix = 32 - Math.log2(size);
+            blocks.push(prefix === 32 ? this.formatAddress(current) : `${this.formatAddress(current)}/${prefix}`);
+            current += size;
+        }
+        return blocks;
+    }
+
+    formatAddress(value) {
+        return [24, 16, 8, 0].map(shift => Math.floor(value / Math.pow(2, shift)) % 256).join('.');
+    }
+
+    /**
+     * Format a date as local "YYYY-MM-DD HH:MM"
+     */
+    formatDateTime(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CampaignPlanner;
+} else {
+    window.CampaignPlanner = CampaignPlanner;
+}
@@ -0,0 +1,390 @@
+/**
+ * Command Exporter - Renders a generated nmap command as a bash script, an Ansible task,
+ * a python-nmap call or a docker run line
+ */
+
+class CommandExporter {
+    constructor(commandParser) {
+        // Arguments are quoted by the parser, so exports and imports agree on shell quoting
+        this.commandParser = commandParser;
+
+        this.formats = {
+            bash: { label: 'Bash script', filename: 'nmap-scan.sh' },
+            ansible: { label: 'Ansible task', filename: 'nmap-scan.yml' },
+            python: { label: 'python-nmap', filename: 'nmap_scan.py' },
+            docker: { label: 'Docker run', filename: 'nmap-docker.sh' }
+        };
+
+        // Image whose entrypoint is nmap
+        this.dockerImage = 'instrumentisto/nmap';
+
+        // Output options each format replaces with its own -oA location; -oA, -oN,
+        // -oX, -oG and -oS take a file name
+        this.outputFlags = ['-oA', '-oN', '-oX', '-oG', '-oS'];
+    }
+
+    /**
+     * Render a configuration in one format
+     * @param {string} format - Key of this.formats
+     * @param {Object} config - { args, targets, description, protocol } where args are
+     *     the nmap options (no "nmap", no targets) and targets may be empty, in which
+     *     case each format asks for them at run time
+     * @returns {Object} { text, filename, notes } where notes explain any changes
+     * @throws {Error} For an unknown format
+     */
+    render(format, config) {
+        if (!this.formats[format]) {
+            throw new Error(`Unknown export format "${format}"`);
+        }
+
+        const notes = [];
+        const args = this.stripOutputArgs(config.args, notes);
+        const options = {
+            args,
+            targets: config.targets || [],
+            description: config.description || 'nmap scan',
+            // Targets can come from -iL instead of the command line
+            hasInputList: args.includes('-iL'),
+            // UDP and SCTP scans need raw sockets, so they only work as root
+            needsRoot: ['udp', 'tcp-udp', 'sctp'].includes(config.protocol)
+        };
+
+        const renderers = {
+            bash: () => this.renderBash(options, notes),
+            ansible: () => this.renderAnsible(options, notes),
+            python: () => this.renderPython(options, notes),
+            docker: () => this.renderDocker(options, notes)
+        };
+
+        return {
+            text: renderers[format](),
+            filename: this.formats[format].filename,
+            notes
+        };
+    }
+
+    /**
+     * Remove output options, which every format sets itself
+     */
+    stripOutputArgs(args, notes) {
+        const kept = [];
+        for (let i = 0; i < args.length; i++) {
+            if (this.outputFlags.includes(args[i])) {
+                const dropped = [args[i], args[i + 1]].filter(arg => arg !== undefined).join(' ');
+                notes.push(`Dropped ${dropped}; the export sets its own output location`);
+                i++;
+            } else {
+                kept.push(args[i]);
+            }
+        }
+        return kept;
+    }
+
+    /**
+     * Bash script that logs each run and keeps every Nmap output format
+     */
+    renderBash(options, notes) {
+        const lines = [
+            '#!/usr/bin/env bash',
+            `# ${options.description}`,
+            '#',
+            `# Usage: ${this.formats.bash.filename} ${options.targets.length > 0 || options.hasInputList ? '[target ...]' : '<target> [target ...]'}`,
+            '# Results go to $OUTPUT_DIR (default ./nmap-results) as .nmap, .xml and .gnmap files',
+            '# next to a log of the run.',
+            'set -o pipefail',
+            ''
+        ];
+
+        if (options.targets.length > 0) {
+            lines.push(
+                '# Targets on the command line replace the defaults',
+                `DEFAULT_TARGETS=(${this.shellArgs(options.targets)})`,
+                'if [ "$#" -gt 0 ]; then',
+                '    TARGETS=("$@")',
+                'else',
+                '    TARGETS=("${DEFAULT_TARGETS[@]}")',
+                'fi'
+            );
+        } else if (options.hasInputList) {
+            lines.push('TARGETS=("$@")');
+        } else {
+            lines.push(
+                'if [ "$#" -eq 0 ]; then',
+                '    echo "usage: $0 <target> [target ...]" >&2',
+                '    exit 2',
+                'fi',
+                'TARGETS=("$@")'
+            );
+        }
+
+        lines.push(
+            '',
+            'OUTPUT_DIR="${OUTPUT_DIR:-./nmap-results}"',
+            'BASENAME="${OUTPUT_DIR}/scan-$(date +%Y%m%d-%H%M%S)"',
+            'LOG_FILE="${BASENAME}.log"',
+            '',
+            'mkdir -p "$OUTPUT_DIR" || exit 1',
+            '',
+            'log() {',
+            '    echo "[$(date \'+%Y-%m-%d %H:%M:%S\')] $*" | tee -a "$LOG_FILE"',
+            '}',
+            '',
+            'log "Starting: nmap ' + this.escapeDoubleQuoted(this.shellArgs(options.args)) + ' ${TARGETS[*]}"',
+            `nmap ${this.shellArgs(options.args.concat(['-oA']))} "$BASENAME" "\${TARGETS[@]}" 2>&1 | tee -a "$LOG_FILE"`,
+            'status=${PIPESTATUS[0]}',
+            'log "Finished with exit status $status; results in ${BASENAME}.*"',
+            'exit "$status"'
+        );
+
+        if (options.needsRoot) {
+            notes.push('This scan type needs root; run the script with sudo');
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Ansible task using the command module. Targets live in nmap_targets so an
+     * inventory or --extra-vars can replace them.
+     */
+    renderAnsible(options, notes) {
+        const lines = [
+            `- name: ${this.yamlString(options.description)}`,
+            '  ansible.builtin.command:',
+            '    cmd: >-',
+            `      nmap ${this.escapeJinja(this.shellArgs(options.args))}`,
+            "      -oA {{ (nmap_output_dir ~ '/scan') | quote }}",
+            "      {{ nmap_targets | map('quote') | join(' ') }}"
+        ];
+
+        lines.push('  vars:');
+        if (options.targets.length > 0) {
+            lines.push('    nmap_targets:');
+            options.targets.forEach(target => lines.push(`      - ${this.yamlString(target)}`));
+        } else if (options.hasInputList) {
+            lines.push('    nmap_targets: []');
+        } else {
+            notes.push('Set nmap_targets (a list of hosts or ranges) in the inventory or with --extra-vars');
+        }
+        lines.push(
+            '    nmap_output_dir: /var/tmp/nmap',
+            '  register: nmap_scan',
+            '  changed_when: false'
+        );
+
+        if (options.needsRoot) {
+            lines.push('  become: true');
+        }
+        notes.push('Create nmap_output_dir on the scanning host first, e.g. with ansible.builtin.file');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * python-nmap script. PortScanner.scan() splits hosts and arguments with
+     * shlex, so both are passed as shell-quoted strings.
+     */
+    renderPython(options, notes) {
+        const lines = [
+            '#!/usr/bin/env python3',
+            `# ${options.description}`,
+            'import shlex',
+            'import sys',
+            '',
+            'import nmap',
+            '',
+            `ARGUMENTS = ${this.pythonString(this.shellArgs(options.args))}`
+        ];
+
+        if (options.targets.length > 0) {
+            lines.push(`DEFAULT_TARGETS = [${options.targets.map(target => this.pythonString(target)).join(', ')}]`);
+            lines.push('', 'targets = sys.argv[1:] or DEFAULT_TARGETS');
+        } else if (options.hasInputList) {
+            lines.push('', 'targets = sys.argv[1:]');
+        } else {
+            lines.push(
+                '',
+                'if len(sys.argv) < 2:',
+                "    sys.exit(f'usage: {sys.argv[0]} <target> [target ...]')",
+                'targets = sys.argv[1:]'
+            );
+        }
+
+        lines.push(
+            '',
+            'scanner = nmap.PortScanner()',
+            `scanner.scan(hosts=' '.join(shlex.quote(t) for t in targets), arguments=ARGUMENTS${options.needsRoot ? ', sudo=True' : ''})`,
+            'print(scanner.command_line())',
+            '',
+            'for host in scanner.all_hosts():',
+            "    print(f'{host} ({scanner[host].hostname()}): {scanner[host].state()}')",
+            '    for proto in scanner[host].all_protocols():',
+            '        for port, info in sorted(scanner[host][proto].items()):',
+            "            print(f'  {port}/{proto} {info[\"state\"]} {info.get(\"name\", \"\")}')"
+        );
+
+        notes.push('python-nmap collects results itself (it adds -oX -), so no output files are written');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * docker run line with results written to ./nmap-results on the host
+     */
+    renderDocker(options, notes) {
+        const dockerArgs = [
+            'docker run --rm',
+            '--network host',
+            '--cap-add NET_RAW --cap-add NET_ADMIN',
+            '-v "$(pwd)/nmap-results:/results"'
+        ];
+
+        // Target and exclude lists on the host have to be mounted into the container
+        const args = options.args.slice();
+        ['-iL', '--excludefile'].forEach(flag => {
+            const index = args.indexOf(flag);
+            if (index === -1 || !args[index + 1] || args[index + 1] === '-') {
+                return;
+            }
+            const hostPath = args[index + 1];
+            const name = hostPath.split('/').pop();
+            const source = hostPath.startsWith('/') ? this.shellArgs([hostPath]) : `"$(pwd)"/${this.shellArgs([hostPath])}`;
+            dockerArgs.push(`-v ${source}:${this.shellArgs(['/targets/' + name + ':ro'])}`);
+            args[index + 1] = '/targets/' + name;
+        });
+
+        dockerArgs.push(this.dockerImage);
+
+        const nmapArgs = this.shellArgs(args.concat(['-oA', '/results/scan']));
+        let targets = '';
+        if (options.targets.length > 0) {
+            targets = ' ' + this.shellArgs(options.targets);
+        } else if (!options.hasInputList) {
+            targets = ' "${TARGET:?set TARGET to the host or range to scan}"';
+            notes.push('Set TARGET in the shell first, e.g. TARGET=192.0.2.0/24');
+        }
+
+        return `mkdir -p nmap-results && ${dockerArgs.join(' ')} ${nmapArgs}${targets}\n`;
+    }
+
+    /**
+     * Bash bundle for a scan campaign: it writes one -iL chunk file per batch and
+     * runs a single batch on request, so each can be started inside its window
+     * @param {Object} campaign - { description, protocol, batches } where batches are
+     *     { name, window, hostCount, estimate, args, lines } and args are the nmap
+     *     options without targets
+     * @returns {Object} { text, filename, notes }
+     */
+    renderCampaign(campaign) {
+        const notes = [];
+        const batches = campaign.batches.map(batch => Object.assign({}, batch, {
+            args: this.stripOutputArgs(batch.args, notes)
+        }));
+        const width = Math.max(...batches.map(batch => batch.name.length));
+
+        const lines = [
+            '#!/usr/bin/env bash',
+            `# ${campaign.description}`,
+            '#',
+            '# Schedule:'
+        ];
+        batches.forEach(batch => {
+            lines.push(`#   ${batch.name.padEnd(width)}  ${batch.window}  ${batch.hostCount.toLocaleString('en-US')} hosts, about ${batch.estimate}`);
+        });
+        lines.push(
+            '#',
+            '# Usage:',
+            '#   nmap-campaign.sh extract        write the target chunks to $CHUNK_DIR (default ./targets)',
+            '#   nmap-campaign.sh run <batch>    scan one batch, e.g. run batch-01',
+            '#   nmap-campaign.sh list           show the batches',
+            '# Results go to $OUTPUT_DIR (default ./nmap-results) as .nmap, .xml and .gnmap files.',
+            'set -o pipefail',
+            '',
+            'CHUNK_DIR="${CHUNK_DIR:-./targets}"',
+            'OUTPUT_DIR="${OUTPUT_DIR:-./nmap-results}"',
+            '',
+            'extract() {',
+            '    mkdir -p "$CHUNK_DIR" || exit 1'
+        );
+        batches.forEach(batch => {
+            lines.push(`    cat > "$CHUNK_DIR/${batch.name}.txt" <<'NMAP_TARGETS'`, ...batch.lines, 'NMAP_TARGETS');
+        });
+        lines.push(
+            '}',
+            '',
+            'run_batch() {',
+            '    extract',
+            '    mkdir -p "$OUTPUT_DIR" || exit 1',
+            '    case "$1" in'
+        );
+        batches.forEach(batch => {
+            lines.push(
+                `        ${batch.name})`,
+                `            nmap ${this.shellArgs(batch.args)} -iL "$CHUNK_DIR/${batch.name}.txt" -oA "$OUTPUT_DIR/${batch.name}"`,
+                '            ;;'
+            );
+        });
+        lines.push(
+            '        *)',
+            '            echo "unknown batch: $1 (see $0 list)" >&2',
+            '            return 2',
+            '            ;;',
+            '    esac',
+            '}',
+            '',
+            'case "$1" in',
+            '    extract) extract ;;',
+            '    run) run_batch "$2" ;;',
+            '    list) sed -n \'/^# Schedule:/,/^#$/p\' "$0" ;;',
+            '    *)',
+            '        echo "usage: $0 extract | run <batch> | list" >&2',
+            '        exit 2',
+            '        ;;',
+            'esac'
+        );
+
+        if (['udp', 'tcp-udp', 'sctp'].includes(campaign.protocol)) {
+            notes.push('This scan type needs root; run batches with sudo');
+        }
+        return { text: lines.join('\n') + '\n', filename: 'nmap-campaign.sh', notes };
+    }
+
+    /**
+     * Quote each argument for a POSIX shell and join them with spaces
+     */
+    shellArgs(args) {
+        return this.commandParser.formatArgs(args);
+    }
+
+    /**
+     * Make text safe inside a double-quoted shell string
+     */
+    escapeDoubleQuoted(text) {
+        return text.replace(/[\\"$`]/g, char => '\\' + char);
+    }
+
+    /**
+     * Stop Jinja from reading braces in nmap arguments (e.g. --script-args) as templates
+     */
+    escapeJinja(text) {
+        return /{{|{%|{#/.test(text) ? `{% raw %}${text}{% endraw %}` : text;
+    }
+
+    /**
+     * Double-quoted YAML scalar; JSON strings are valid YAML
+     */
+    yamlString(text) {
+        return JSON.stringify(String(text));
+    }
+
+    /**
+     * Single-quoted Python string literal
+     */
+    pythonString(text) {
+        return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandExporter;
+} else {
+    window.CommandExporter = CommandExporter;
+}
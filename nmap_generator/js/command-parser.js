@@ -0,0 +1,264 @@
+/**
+ * Nmap Command Parser - Reads an existing nmap command line back into timing settings
+ */
+
+class NmapCommandParser {
+    constructor() {
+        this.templateNames = {
+            paranoid: 0,
+            sneaky: 1,
+            polite: 2,
+            normal: 3,
+            aggressive: 4,
+            insane: 5
+        };
+
+        // Timing flags and the key each one is stored under. Time values are
+        // converted to milliseconds, counts are kept as integers.
+        this.timingFlags = {
+            '--max-rtt-timeout': { key: 'maxRttTimeoutMs', type: 'time' },
+            '--min-rtt-timeout': { key: 'minRttTimeoutMs', type: 'time' },
+            '--initial-rtt-timeout': { key: 'initialRttTimeoutMs', type: 'time' },
+            '--max-retries': { key: 'maxRetries', type: 'count' },
+            '--scan-delay': { key: 'scanDelayMs', type: 'time' },
+            '--max-scan-delay': { key: 'maxScanDelayMs', type: 'time' },
+            '--host-timeout': { key: 'hostTimeoutMs', type: 'time' },
+            '--script-timeout': { key: 'scriptTimeoutMs', type: 'time' },
+            '--min-parallelism': { key: 'minParallelism', type: 'count' },
+            '--max-parallelism': { key: 'maxParallelism', type: 'count' },
+            '--min-hostgroup': { key: 'minHostgroup', type: 'count' },
+            '--max-hostgroup': { key: 'maxHostgroup', type: 'count' },
+            '--min-rate': { key: 'minRate', type: 'rate' },
+            '--max-rate': { key: 'maxRate', type: 'rate' }
+        };
+
+        // Non-timing options that consume the following argument, so that
+        // argument is not mistaken for a target
+        this.flagsWithValues = new Set([
+            '-p', '-e', '-S', '-D', '-g', '-b', '-iL', '-iR', '-oN', '-oX', '-oG', '-oA', '-oS',
+            '--exclude', '--excludefile', '--exclude-ports', '--top-ports', '--port-ratio',
+            '--script', '--script-args', '--script-args-file', '--source-port', '--data',
+            '--data-string', '--data-length', '--ttl', '--mtu', '--spoof-mac', '--proxies',
+            '--dns-servers', '--max-os-tries', '--version-intensity', '--stats-every',
+            '--datadir', '--resume', '--stylesheet', '--servicedb', '--versiondb', '--ip-options'
+        ]);
+
+        this.timeUnits = {
+            ms: 1,
+            s: 1000,
+            m: 60000,
+            h: 3600000
+        };
+    }
+
+    /**
+     * Parse an nmap command line
+     * @param {string} commandLine - e.g. "nmap -sU -T4 --max-retries 3 10.0.0.0/24"
+     * @returns {Object} { template, protocol, timing, timingArgs, otherArgs, targets, warnings }
+     */
+    parse(commandLine) {
+        const tokens = this.tokenize(commandLine);
+        const result = {
+            template: null,
+            protocol: 'tcp',
+            timing: {},
+            timingArgs: {},
+            otherArgs: [],
+            targets: [],
+            warnings: []
+        };
+
+        // Scan type letters (the part after -s), resolved into a protocol mode once all are seen
+        const scanTypes = [];
+
+        // Drop the program name along with any wrapper in front of it (sudo, proxychains)
+        const programIndex = tokens.findIndex(token => /(^|[\/\\])nmap(\.exe)?$/i.test(token));
+        if (programIndex !== -1) {
+            tokens.splice(0, programIndex + 1);
+        }
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            // Long options may be written as --flag=value
+            let flag = token;
+            let inlineValue = null;
+            if (token.startsWith('--') && token.includes('=')) {
+                flag = token.slice(0, token.indexOf('='));
+                inlineValue = token.slice(token.indexOf('=') + 1);
+            }
+
+            if (/^-T/.test(flag) && !flag.startsWith('--')) {
+                const templateValue = flag.length > 2 ? flag.slice(2) : tokens[++i];
+                const template = this.parseTemplate(templateValue);
+                if (template === null) {
+                    result.warnings.push(`Unrecognized timing template "${templateValue}"`);
+                } else {
+                    result.template = template;
+                }
+                continue;
+            }
+
+            if (this.timingFlags[flag]) {
+                const rawValue = inlineValue !== null ? inlineValue : tokens[++i];
+                const spec = this.timingFlags[flag];
+                const value = this.parseValue(rawValue, spec.type);
+                if (value === null) {
+                    result.warnings.push(`Invalid value "${rawValue}" for ${flag}`);
+                } else {
+                    result.timing[spec.key] = value;
+                    result.timingArgs[spec.key] = [flag, rawValue];
+                }
+                continue;
+            }
+
+            if (/^-s[A-Za-z]+$/.test(flag)) {
+                scanTypes.push(flag.slice(2));
+                continue;
+            }
+
+            if (token.startsWith('-')) {
+                result.otherArgs.push(token);
+                if (this.flagsWithValues.has(flag) && inlineValue === null && i + 1 < tokens.length) {
+                    result.otherArgs.push(tokens[++i]);
+                }
+                continue;
+            }
+
+            result.targets.push(token);
+        }
+
+        this.applyScanTypes(scanTypes, result);
+
+        return result;
+    }
+
+    /**
+     * Work out the protocol mode from the scan types: -sY is SCTP, -sU is UDP and
+     * -sU with -sS is the combined TCP+UDP mode. The letters that select the mode
+     * are dropped and any other scan types (e.g. -sV) are kept as options.
+     */
+    applyScanTypes(scanTypes, result) {
+        const letters = scanTypes.join('');
+        const removed = new Set();
+
+        if (letters.includes('U')) {
+            removed.add('U');
+            if (letters.includes('S')) {
+                result.protocol = 'tcp-udp';
+                removed.add('S');
+            } else {
+                result.protocol = 'udp';
+            }
+            if (letters.includes('Y')) {
+                result.warnings.push('-sY cannot be combined with the UDP modes here; it is kept as an extra option');
+            }
+        } else if (letters.includes('Y')) {
+            result.protocol = 'sctp';
+            removed.add('Y');
+        }
+
+        // Keep the remaining scan types in front of the other options
+        const kept = scanTypes
+            .map(types => types.split('').filter(letter => !removed.has(letter)).join(''))
+            .filter(types => types.length > 0)
+            .map(types => `-s${types}`);
+        result.otherArgs.unshift(...kept);
+    }
+
+    /**
+     * Split a command line into arguments, honouring quotes and backslash line continuations
+     */
+    tokenize(commandLine) {
+        const tokens = [];
+        let current = '';
+        let quote = null;
+        let hasToken = false;
+        const text = (commandLine || '').replace(/\\\r?\n/g, ' ').replace(/^\s*\$\s*/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                hasToken = true;
+            } else if (/\s/.test(char)) {
+                if (hasToken) {
+                    tokens.push(current);
+                    current = '';
+                    hasToken = false;
+                }
+            } else {
+                current += char;
+                hasToken = true;
+            }
+        }
+
+        if (hasToken) {
+            tokens.push(current);
+        }
+        return tokens;
+    }
+
+    /**
+     * Resolve a -T argument (number or template name) to 0-5
+     */
+    parseTemplate(value) {
+        if (value === undefined) {
+            return null;
+        }
+        const lower = value.toLowerCase();
+        if (/^[0-5]$/.test(lower)) {
+            return parseInt(lower, 10);
+        }
+        return this.templateNames.hasOwnProperty(lower) ? this.templateNames[lower] : null;
+    }
+
+    /**
+     * Convert a flag value to a number. Nmap treats unit-less times as seconds.
+     */
+    parseValue(value, type) {
+        if (value === undefined) {
+            return null;
+        }
+
+        if (type === 'time') {
+            const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/i.exec(value);
+            if (!match) {
+                return null;
+            }
+            const unit = (match[2] || 's').toLowerCase();
+            return Math.round(parseFloat(match[1]) * this.timeUnits[unit]);
+        }
+
+        if (type === 'rate') {
+            return /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : null;
+        }
+
+        return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+    }
+
+    /**
+     * Join arguments back into a shell-safe string
+     */
+    formatArgs(args) {
+        return args.map(arg => {
+            if (/^[\w@%+=:,./-]+$/.test(arg)) {
+                return arg;
+            }
+            return `'${arg.replace(/'/g, `'\\''`)}'`;
+        }).join(' ');
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NmapCommandParser;
+} else {
+    window.NmapCommandParser = NmapCommandParser;
+}
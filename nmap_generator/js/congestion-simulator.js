@@ -0,0 +1,311 @@
+/**
+ * Congestion Simulator - Steps through a simplified model of Nmap's congestion control,
+ * RTT estimation, retransmission and scan-delay backoff for a single host
+ */
+
+class CongestionSimulator {
+    constructor() {
+        // Nmap starts with a small window and a slow-start threshold well above it
+        this.initialCwnd = 10;
+        this.initialSsthresh = 75;
+
+        // Cap for --max-scan-delay when it is left adaptive (Nmap's default of 1s)
+        this.defaultMaxScanDelayMs = 1000;
+
+        // First scan delay Nmap picks once it sees evidence of rate limiting
+        this.firstScanDelayMs = { tcp: 5, udp: 50 };
+
+        // Share of replies that must come from retransmissions (counted since the
+        // last change, over at least minRepliesForBoost replies) before the delay grows
+        this.boostDropRatio = 0.3;
+        this.minRepliesForBoost = 10;
+
+        // Linux sends at most this many ICMP port unreachable replies per second
+        this.icmpRepliesPerSecond = 1;
+
+        // Most chart points kept per run; past this every other point is dropped and
+        // points are recorded half as often, so long runs stay the same size
+        this.maxSamples = 2000;
+
+        // Most recent log entries kept; the page only shows the latest of them, so older
+        // entries are dropped in batches once the log reaches twice this size
+        this.maxEvents = 1000;
+    }
+
+    /**
+     * Start a new simulation run
+     * @param {Object} params - Timing values (see getCurrentTimingParams)
+     * @param {Object} network - { baseRttMs, jitterMs, lossRate (0-1), probes, protocol, seed }.
+     *     Combined TCP+UDP scans are simulated by their UDP phase, which sets the pace.
+     */
+    reset(params, network) {
+        this.params = params;
+        this.network = Object.assign({}, network, {
+            protocol: network.protocol === 'tcp-udp' ? 'udp' : network.protocol
+        });
+        this.random = this.createRandom(network.seed || 1);
+
+        const cwndCap = params.maxParallelism > 0 ? params.maxParallelism :
+            params.parallelism > 0 ? params.parallelism : 1;
+        this.cwndMax = Math.max(1, cwndCap);
+        this.cwndMin = Math.max(1, Math.min(params.minParallelism || 1, this.cwndMax));
+
+        this.state = {
+            time: 0,
+            cwnd: Math.min(this.initialCwnd, this.cwndMax),
+            ssthresh: this.initialSsthresh,
+            srtt: null,
+            rttvar: null,
+            timeoutMs: params.initialRttTimeoutMs,
+            scanDelayMs: params.scanDelayMs,
+            nextSendTime: 0,
+            nextIcmpTime: 0,
+            repliesSinceBoost: 0,
+            retriedRepliesSinceBoost: 0,
+            pending: [],
+            inFlight: [],
+            finished: false
+        };
+
+        for (let port = 1; port <= network.probes; port++) {
+            this.state.pending.push({ port, tries: 0 });
+        }
+
+        this.stats = { sent: 0, replies: 0, timeouts: 0, retries: 0, givenUp: 0, drops: 0 };
+        this.series = [];
+        this.sampleEvery = 1;
+        this.stepsSinceSample = 0;
+        this.events = [];
+        this.sample();
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} durationMs - Simulated milliseconds to run
+     * @param {number} resolutionMs - Size of each internal step
+     */
+    step(durationMs, resolutionMs = 5) {
+        const end = this.state.time + durationMs;
+        while (!this.state.finished && this.state.time < end) {
+            this.state.time += resolutionMs;
+            this.processReplies();
+            this.processTimeouts();
+            this.sendProbes();
+            this.sample();
+
+            if (this.state.pending.length === 0 && this.state.inFlight.length === 0) {
+                this.state.finished = true;
+                this.log('done', `Scan finished: ${this.stats.replies} replies, ${this.stats.givenUp} ports gave up`);
+            }
+        }
+    }
+
+    /**
+     * Send as many probes as the window, scan delay and rate limit allow
+     */
+    sendProbes() {
+        const state = this.state;
+        const rateGapMs = this.params.maxRate > 0 ? 1000 / this.params.maxRate : 0;
+
+        while (state.pending.length > 0 &&
+               state.inFlight.length < Math.floor(state.cwnd) &&
+               state.time >= state.nextSendTime) {
+            const probe = state.pending.shift();
+            probe.tries++;
+            probe.sentAt = state.time;
+            probe.deadline = state.time + state.timeoutMs;
+            probe.replyAt = this.scheduleReply();
+            state.inFlight.push(probe);
+            this.stats.sent++;
+
+            if (probe.tries > 1) {
+                this.stats.retries++;
+                this.log('retry', `Retransmitting port ${probe.port} (try ${probe.tries} of ${this.params.maxRetries + 1})`);
+            }
+
+            state.nextSendTime = state.time + Math.max(state.scanDelayMs, rateGapMs);
+        }
+    }
+
+    /**
+     * Decide when (if ever) a reply to a probe sent now arrives
+     */
+    scheduleReply() {
+        if (this.random() < this.network.lossRate) {
+            return null;
+        }
+
+        const jitter = (this.random() * 2 - 1) * this.network.jitterMs;
+        let replyAt = this.state.time + Math.max(1, this.network.baseRttMs + jitter);
+
+        if (this.network.protocol === 'udp') {
+            // Closed UDP ports answer with ICMP, which the target throttles;
+            // anything over the limit is silently dropped
+            if (replyAt < this.state.nextIcmpTime) {
+                return null;
+            }
+            this.state.nextIcmpTime = replyAt + 1000 / this.icmpRepliesPerSecond;
+        }
+
+        return replyAt;
+    }
+
+    /**
+     * Handle replies that have arrived: update RTT estimates and grow the window
+     */
+    processReplies() {
+        const state = this.state;
+        state.inFlight = state.inFlight.filter(probe => {
+            if (probe.replyAt === null || probe.replyAt > state.time) {
+                return true;
+            }
+
+            this.stats.replies++;
+            this.updateRtt(probe.replyAt - probe.sentAt);
+
+            if (state.cwnd < state.ssthresh) {
+                state.cwnd += 1; // slow start
+            } else {
+                state.cwnd += 1 / state.cwnd; // congestion avoidance
+            }
+            state.cwnd = Math.min(state.cwnd, this.cwndMax);
+
+            // Retransmissions getting through where the first probe did not
+            // look like rate limiting, so Nmap backs off once they pile up
+            state.repliesSinceBoost++;
+            if (probe.tries > 1) {
+                state.retriedRepliesSinceBoost++;
+            }
+            if (state.repliesSinceBoost >= this.minRepliesForBoost &&
+                state.retriedRepliesSinceBoost > state.repliesSinceBoost * this.boostDropRatio) {
+                this.boostScanDelay();
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Expire probes that have waited past the current timeout
+     */
+    processTimeouts() {
+        const state = this.state;
+        let dropped = false;
+
+        state.inFlight = state.inFlight.filter(probe => {
+            if (probe.replyAt !== null && probe.replyAt <= probe.deadline) {
+                return true;
+            }
+            if (probe.deadline > state.time) {
+                return true;
+            }
+
+            this.stats.timeouts++;
+            dropped = true;
+            this.log('timeout', `Port ${probe.port} timed out after ${Math.round(state.time - probe.sentAt)}ms`);
+
+            if (probe.tries <= this.params.maxRetries) {
+                state.pending.unshift(probe);
+            } else {
+                this.stats.givenUp++;
+                this.log('giveup', `Gave up on port ${probe.port} after ${probe.tries} tries`);
+            }
+            return false;
+        });
+
+        if (dropped) {
+            this.stats.drops++;
+            const previous = state.cwnd;
+            state.ssthresh = Math.max(2, state.cwnd / 2);
+            state.cwnd = Math.max(this.cwndMin, state.cwnd / 2);
+            if (Math.floor(previous) !== Math.floor(state.cwnd)) {
+                this.log('cwnd', `Drop detected: window cut from ${Math.floor(previous)} to ${Math.floor(state.cwnd)}`);
+            }
+        }
+    }
+
+    /**
+     * RFC 6298 style smoothed RTT, which Nmap uses to derive its probe timeout
+     */
+    updateRtt(sampleMs) {
+        const state = this.state;
+        if (state.srtt === null) {
+            state.srtt = sampleMs;
+            state.rttvar = sampleMs / 2;
+        } else {
+            state.rttvar = 0.75 * state.rttvar + 0.25 * Math.abs(state.srtt - sampleMs);
+            state.srtt = 0.875 * state.srtt + 0.125 * sampleMs;
+        }
+
+        const timeout = state.srtt + 4 * state.rttvar;
+        state.timeoutMs = Math.min(this.params.maxRttTimeoutMs, Math.max(this.params.minRttTimeoutMs, timeout));
+    }
+
+    /**
+     * Double the scan delay (starting from a small floor) up to --max-scan-delay
+     */
+    boostScanDelay() {
+        const state = this.state;
+        const cap = this.params.maxScanDelayMs > 0 ? this.params.maxScanDelayMs : this.defaultMaxScanDelayMs;
+        const previous = state.scanDelayMs;
+        const floor = this.firstScanDelayMs[this.network.protocol] || this.firstScanDelayMs.tcp;
+
+        state.scanDelayMs = Math.min(cap, previous > 0 ? previous * 2 : floor);
+        if (state.scanDelayMs !== previous) {
+            this.log('delay', `Scan delay increased from ${previous}ms to ${state.scanDelayMs}ms ` +
+                `(${state.retriedRepliesSinceBoost} of ${state.repliesSinceBoost} replies needed a retry)`);
+        }
+        state.repliesSinceBoost = 0;
+        state.retriedRepliesSinceBoost = 0;
+    }
+
+    /**
+     * Record the current state for charting
+     */
+    sample() {
+        if (this.series.length > 0 && ++this.stepsSinceSample < this.sampleEvery) return;
+        this.stepsSinceSample = 0;
+
+        const state = this.state;
+        this.series.push({
+            time: state.time,
+            cwnd: state.cwnd,
+            ssthresh: state.ssthresh,
+            inFlight: state.inFlight.length,
+            timeoutMs: state.timeoutMs,
+            scanDelayMs: state.scanDelayMs
+        });
+
+        if (this.series.length >= this.maxSamples) {
+            this.series = this.series.filter((point, index) => index % 2 === 0);
+            this.sampleEvery *= 2;
+        }
+    }
+
+    /**
+     * Append an entry to the event log
+     */
+    log(type, message) {
+        this.events.push({ time: this.state.time, type, message });
+        if (this.events.length >= this.maxEvents * 2) {
+            this.events = this.events.slice(-this.maxEvents);
+        }
+    }
+
+    /**
+     * Small seeded generator so a run can be replayed exactly
+     */
+    createRandom(seed) {
+        let value = seed >>> 0;
+        return () => {
+            value = (value * 1664525 + 1013904223) >>> 0;
+            return value / 4294967296;
+        };
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CongestionSimulator;
+} else {
+    window.CongestionSimulator = CongestionSimulator;
+}
@@ -0,0 +1,178 @@
+/**
+ * Scan Duration Estimator - Turns timing parameters into wall-clock estimates
+ */
+
+class ScanDurationEstimator {
+    /**
+     * @param {TimingEngine} timingEngine - Resolves host group size and parallelism
+     */
+    constructor(timingEngine) {
+        this.timingEngine = timingEngine;
+
+        // Linux rate limits ICMP port unreachable to about 1 per second per host
+        this.icmpRateLimitPerSecond = 1;
+
+        // Share of probes that get no reply and need retransmitting in the typical case
+        this.typicalUnansweredRatio = 0.3;
+    }
+
+    /**
+     * Estimate best, typical and worst-case scan duration
+     * @param {Object} scope - { hosts, ports, protocol } where ports is a count per host,
+     *     or counts keyed by protocol (e.g. { tcp: 1000, udp: 100 } for a combined scan)
+     * @param {Object} params - Timing values in milliseconds (see getCurrentTimingParams)
+     * @returns {Object} { best, typical, worst } each with seconds and limiting factor
+     */
+    estimate(scope, params) {
+        const portsFor = (protocol) => typeof scope.ports === 'object' ? scope.ports[protocol] : scope.ports;
+
+        if (scope.protocol === 'tcp-udp') {
+            // Nmap runs the TCP phase and then the UDP phase for each host group
+            const tcp = this.estimate(Object.assign({}, scope, { protocol: 'tcp', ports: portsFor('tcp') }), params);
+            const udp = this.estimate(Object.assign({}, scope, { protocol: 'udp', ports: portsFor('udp') }), params);
+            const combine = (a, b) => ({
+                seconds: a.seconds + b.seconds,
+                limitingFactor: b.seconds >= a.seconds ? b.limitingFactor : a.limitingFactor,
+                batches: b.batches,
+                hostgroup: b.hostgroup
+            });
+            return {
+                best: combine(tcp.best, udp.best),
+                typical: combine(tcp.typical, udp.typical),
+                worst: combine(tcp.worst, udp.worst)
+            };
+        }
+
+        const hosts = Math.max(1, parseInt(scope.hosts, 10) || 1);
+        const ports = Math.max(1, parseInt(portsFor(scope.protocol), 10) || 1);
+
+        // SCTP INIT scans pace like TCP SYN scans
+        const protocol = scope.protocol === 'udp' ? 'udp' : 'tcp';
+
+        return {
+            best: this.estimateCase('best', hosts, ports, protocol, params),
+            typical: this.estimateCase('typical', hosts, ports, protocol, params),
+            worst: this.estimateCase('worst', hosts, ports, protocol, params)
+        };
+    }
+
+    /**
+     * Estimate a single case by taking the slowest of the throughput, delay,
+     * rate and ICMP bounds for each host group
+     */
+    estimateCase(scenario, hosts, ports, protocol, params) {
+        const hostgroup = this.timingEngine.effectiveHostgroup(params, hosts);
+        const batches = Math.ceil(hosts / hostgroup);
+        const concurrency = Math.max(1, this.timingEngine.effectiveParallelism(params));
+        const retries = Math.max(0, params.maxRetries);
+
+        // Average probes sent per port and time waited for each round of probes
+        let attempts;
+        let waitMs;
+        let delayMs;
+        if (scenario === 'best') {
+            attempts = 1;
+            waitMs = params.minRttTimeoutMs;
+            delayMs = params.scanDelayMs;
+        } else if (scenario === 'typical') {
+            attempts = 1 + Math.min(retries, 1) * this.typicalUnansweredRatio;
+            waitMs = params.initialRttTimeoutMs;
+            delayMs = params.scanDelayMs;
+        } else {
+            attempts = 1 + retries;
+            waitMs = params.maxRttTimeoutMs;
+            // Dropped probes make Nmap ramp the delay up to --max-scan-delay
+            delayMs = Math.max(params.scanDelayMs, params.maxScanDelayMs);
+        }
+
+        const probesPerHost = ports * attempts;
+        // Scan delay is enforced per host, so only hosts with probes in flight wait in parallel
+        const hostsInParallel = Math.min(hostgroup, concurrency);
+        const groupProbes = hostgroup * probesPerHost;
+        const bounds = {
+            throughput: (groupProbes / concurrency) * waitMs / 1000,
+            delay: (groupProbes / hostsInParallel) * delayMs / 1000,
+            rate: params.maxRate > 0 ? groupProbes / params.maxRate : 0,
+            icmp: 0
+        };
+
+        if (params.minRate > 0) {
+            // --min-rate keeps Nmap sending even when it would otherwise wait on timeouts
+            bounds.throughput = Math.min(bounds.throughput, groupProbes / params.minRate);
+        }
+
+        if (protocol === 'udp' && scenario !== 'best') {
+            // Closed ports only answer as fast as the target's ICMP limit allows;
+            // in the worst case every retransmission is throttled as well
+            const throttledProbes = scenario === 'worst' ? probesPerHost : ports;
+            bounds.icmp = throttledProbes / this.icmpRateLimitPerSecond;
+        }
+
+        let limitingFactor = 'throughput';
+        Object.keys(bounds).forEach(key => {
+            if (bounds[key] > bounds[limitingFactor]) {
+                limitingFactor = key;
+            }
+        });
+
+        let batchSeconds = bounds[limitingFactor];
+        if (params.hostTimeoutMs > 0 && batchSeconds > params.hostTimeoutMs / 1000) {
+            // Hosts that run past --host-timeout are abandoned
+            batchSeconds = params.hostTimeoutMs / 1000;
+            limitingFactor = 'hostTimeout';
+        }
+
+        return {
+            seconds: batchSeconds * batches,
+            limitingFactor,
+            batches,
+            hostgroup
+        };
+    }
+
+    /**
+     * Describe what limited an estimate
+     */
+    describeLimitingFactor(factor) {
+        const descriptions = {
+            throughput: 'parallelism and RTT timeouts',
+            delay: 'scan delay between probes',
+            rate: 'capped by --max-rate',
+            icmp: 'ICMP rate limiting (1/sec per host)',
+            hostTimeout: 'capped by --host-timeout'
+        };
+        return descriptions[factor] || factor;
+    }
+
+    /**
+     * Format seconds as a short human readable duration
+     */
+    formatDuration(seconds) {
+        if (seconds < 1) {
+            return '< 1s';
+        }
+
+        const units = [
+            { label: 'd', seconds: 86400 },
+            { label: 'h', seconds: 3600 },
+            { label: 'm', seconds: 60 },
+            { label: 's', seconds: 1 }
+        ];
+
+        // The largest unit that fits and the one below it, even when that is 0 ("2d 0h")
+        let remaining = Math.round(seconds);
+        const first = units.findIndex(unit => remaining >= unit.seconds);
+        return units.slice(first, first + 2).map(unit => {
+            const count = Math.floor(remaining / unit.seconds);
+            remaining %= unit.seconds;
+            return count + unit.label;
+        }).join(' ');
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanDurationEstimator;
+} else {
+    window.ScanDurationEstimator = ScanDurationEstimator;
+}
@@ -0,0 +1,224 @@
+/**
+ * Environment Advisor - Recommends a timing template and overrides from the kind of
+ * network being scanned, its ping RTT and loss, and how quiet the scan has to be
+ */
+
+class EnvironmentAdvisor {
+    constructor() {
+        // Typical round trip and loss stand in when nothing was measured. template is
+        // the fastest template the network copes with; maxRate, maxParallelism and
+        // maxHostgroup are limits the network needs whatever the template.
+        this.environments = {
+            lan: {
+                label: 'LAN',
+                rttMs: 1,
+                lossPercent: 0,
+                template: 4,
+                reason: 'A switched LAN answers within milliseconds and rarely drops packets, so T4 is safe'
+            },
+            wan: {
+                label: 'WAN / Internet',
+                rttMs: 80,
+                lossPercent: 1,
+                template: 3,
+                reason: 'Internet paths cross links and firewalls you do not control, so stay at the T3 default'
+            },
+            vpn: {
+                label: 'Site-to-site VPN',
+                rttMs: 40,
+                lossPercent: 1,
+                template: 3,
+                maxRate: 1000,
+                reason: 'A tunnel adds encryption overhead and shares its throughput with production traffic, so stay at T3'
+            },
+            satellite: {
+                label: 'Satellite link',
+                rttMs: 650,
+                lossPercent: 2,
+                template: 3,
+                maxRate: 300,
+                reason: 'Geostationary links have long, fairly steady round trips; T3 with longer timeouts fits better than a faster template'
+            },
+            cloud: {
+                label: 'Cloud VPC',
+                rttMs: 2,
+                lossPercent: 0,
+                template: 4,
+                reason: 'Hosts in the same VPC are a few milliseconds apart, so T4 is safe',
+                note: 'Security groups drop unmatched probes without a reply, so expect many filtered ports; scan only resources your account owns'
+            },
+            ot: {
+                label: 'OT / ICS network',
+                rttMs: 10,
+                lossPercent: 0,
+                template: 2,
+                maxParallelism: 1,
+                maxHostgroup: 1,
+                reason: 'PLCs, RTUs and HMIs have small network stacks that can hang under load, so start from T2 (Polite)',
+                note: 'Agree a window with the plant operators first and avoid -sV, -O and NSE scripts against controllers'
+            }
+        };
+
+        // Fastest template each stealth requirement allows
+        this.stealthLevels = {
+            none: { label: 'None (speed matters most)', maxTemplate: 5 },
+            moderate: {
+                label: 'Moderate (stay under rate alerts)',
+                maxTemplate: 2,
+                reason: 'T2 spaces probes 400ms apart per host, below the rates most IDS port scan rules count'
+            },
+            high: {
+                label: 'High (avoid IDS detection)',
+                maxTemplate: 1,
+                reason: 'T1 waits 15 seconds between probes to a host, which spreads a scan past IDS time windows'
+            }
+        };
+
+        // Same rule of thumb the scan results analyzer uses for measured round trips
+        this.initialRttFactor = 2;
+        this.maxRttFactor = 4;
+        this.minInitialRttMs = 50;
+        this.minMaxRttMs = 100;
+
+        // Retries are chosen so every try of a probe is lost less often than this
+        this.missProbability = 0.001;
+        this.minRetries = 2;
+        this.maxRetries = 10;
+
+        // Loss above this many percent makes Nmap's congestion control back off hard
+        this.highLossPercent = 5;
+    }
+
+    /**
+     * Recommend a template and the overrides to apply on top of it
+     * @param {Object} input - { environment, rttMs, lossPercent, stealth } where rttMs and
+     *     lossPercent may be null to use the environment's typical values
+     * @param {Object} templateParams - Timing values of each template, keyed 0-5
+     * @returns {Object} { template, templateReason, rttMs, lossPercent, values, reasons, notes }
+     *     where values holds only the timing values that differ from the template and
+     *     reasons explains each of them
+     * @throws {Error} For an unknown environment or stealth level
+     */
+    recommend(input, templateParams) {
+        const environment = this.environments[input.environment];
+        const stealth = this.stealthLevels[input.stealth || 'none'];
+        if (!environment) {
+            throw new Error(`Unknown environment "${input.environment}"`);
+        }
+        if (!stealth) {
+            throw new Error(`Unknown stealth level "${input.stealth}"`);
+        }
+
+        const notes = [];
+        const measuredRtt = input.rttMs !== null && input.rttMs !== undefined && input.rttMs > 0;
+        const measuredLoss = input.lossPercent !== null && input.lossPercent !== undefined && input.lossPercent >= 0;
+        const rttMs = measuredRtt ? input.rttMs : environment.rttMs;
+        const lossPercent = measuredLoss ? Math.min(100, input.lossPercent) : environment.lossPercent;
+        if (!measuredRtt || !measuredLoss) {
+            notes.push(`Assumed ${[
+                measuredRtt ? null : `a ${rttMs}ms RTT`,
+                measuredLoss ? null : `${lossPercent}% loss`
+            ].filter(Boolean).join(' and ')} from the ${environment.label} preset; ping the targets for a better fit`);
+        }
+
+        let template = environment.template;
+        let templateReason = environment.reason;
+        if (stealth.maxTemplate < template) {
+            template = stealth.maxTemplate;
+            templateReason += `, but the stealth requirement caps it at T${template}: ${stealth.reason}`;
+        }
+
+        const base = templateParams[template];
+        const wanted = {};
+        const reasons = {};
+        const formatRtt = `${rttMs}ms`;
+
+        wanted.initialRttTimeoutMs = this.roundUp(Math.max(this.minInitialRttMs, rttMs * this.initialRttFactor));
+        reasons.initialRttTimeoutMs = wanted.initialRttTimeoutMs > base.initialRttTimeoutMs ?
+            `T${template} starts at ${base.initialRttTimeoutMs}ms, too short for a ${formatRtt} round trip; ${this.initialRttFactor}x the RTT stops first probes being resent before their replies arrive` :
+            `${this.initialRttFactor}x the ${formatRtt} RTT is enough for first replies, so unanswered probes are retried sooner`;
+
+        wanted.maxRttTimeoutMs = this.roundUp(Math.max(this.minMaxRttMs, rttMs * this.maxRttFactor, wanted.initialRttTimeoutMs));
+        reasons.maxRttTimeoutMs = wanted.maxRttTimeoutMs > base.maxRttTimeoutMs ?
+            `T${template} gives up after ${base.maxRttTimeoutMs}ms, which would drop slow replies on a ${formatRtt} path; ${this.maxRttFactor}x the RTT leaves room for queueing` :
+            `${this.maxRttFactor}x the ${formatRtt} RTT still leaves room for queueing without waiting long on dead probes`;
+
+        if (base.minRttTimeoutMs > wanted.initialRttTimeoutMs) {
+            wanted.minRttTimeoutMs = wanted.initialRttTimeoutMs;
+            reasons.minRttTimeoutMs = 'Lowered so it does not exceed the recommended initial timeout';
+        }
+
+        // Retries needed so loss alone rarely hides a port: lossRate ^ (retries + 1) < missProbability
+        const lossRate = lossPercent / 100;
+        const needed = lossRate > 0 && lossRate < 1 ?
+            Math.ceil(Math.log(this.missProbability) / Math.log(lossRate)) - 1 :
+            (lossRate >= 1 ? this.maxRetries : 0);
+        wanted.maxRetries = Math.min(this.maxRetries, Math.max(this.minRetries, needed));
+        reasons.maxRetries = lossPercent > 0 ?
+            `With ${lossPercent}% loss, ${wanted.maxRetries} retries leave about a ${this.formatChance(Math.pow(lossRate, wanted.maxRetries + 1))} chance that every probe to an open port is lost` :
+            `No loss expected, so ${wanted.maxRetries} retries cover the odd dropped probe without retrying filtered ports ${base.maxRetries} times`;
+        if (input.environment === 'cloud') {
+            reasons.maxRetries += '; security groups drop probes on purpose, and retrying them only slows the scan';
+        }
+
+        if (environment.maxRate) {
+            wanted.maxRate = base.maxRate > 0 ? Math.min(base.maxRate, environment.maxRate) : environment.maxRate;
+            reasons.maxRate = input.environment === 'satellite' ?
+                `Satellite capacity is small and shared; ${environment.maxRate} probes/s is under 150 kbit/s of SYNs` :
+                `Keeps the scan to ${environment.maxRate} probes/s (under 500 kbit/s of SYNs) so it does not crowd the tunnel or trip the VPN appliance's flood protection`;
+        }
+        if (environment.maxParallelism) {
+            wanted.maxParallelism = environment.maxParallelism;
+            reasons.maxParallelism = 'One probe in flight at a time, since field devices can drop off the control network under concurrent connections';
+        }
+        if (environment.maxHostgroup) {
+            wanted.maxHostgroup = environment.maxHostgroup;
+            reasons.maxHostgroup = 'One device at a time, so a controller that stops answering affects only its own results';
+        }
+
+        if (lossPercent > this.highLossPercent) {
+            notes.push(`At ${lossPercent}% loss Nmap treats drops as congestion and slows down; add --min-rate if the scan crawls`);
+        }
+        if (environment.note) {
+            notes.push(environment.note);
+        }
+
+        // Only keep what the template does not already set
+        const values = {};
+        Object.keys(wanted).forEach(key => {
+            if (wanted[key] !== (base[key] || 0)) {
+                values[key] = wanted[key];
+            } else {
+                delete reasons[key];
+            }
+        });
+
+        return { template, templateReason, rttMs, lossPercent, values, reasons, notes };
+    }
+
+    /**
+     * Round a timeout up to 10ms below one second and to 50ms above
+     */
+    roundUp(ms) {
+        const step = ms < 1000 ? 10 : 50;
+        return Math.ceil(ms / step) * step;
+    }
+
+    /**
+     * Format a probability as "1 in N" or a percentage
+     */
+    formatChance(probability) {
+        if (probability >= 0.01) {
+            return Math.round(probability * 100) + '%';
+        }
+        const oneIn = Math.round(1 / probability);
+        return `1 in ${oneIn.toLocaleString('en-US')}`;
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnvironmentAdvisor;
+} else {
+    window.EnvironmentAdvisor = EnvironmentAdvisor;
+}
@@ -0,0 +1,324 @@
+/**
+ * Firewall Engine - Deterministic packet filter for the host discovery simulator.
+ * Evaluates each discovery probe against an ordered rule list; the first matching
+ * rule decides, otherwise the ruleset's default policy does.
+ */
+
+class FirewallEngine {
+    constructor() {
+        // IP protocol numbers for the names rules and probes use
+        this.protocolNumbers = { icmp: 1, igmp: 2, ipip: 4, tcp: 6, udp: 17, sctp: 132 };
+
+        // ICMP request types sent by -PE, -PP and -PM (and -PO1)
+        this.icmpTypes = {
+            'echo-request': { type: 8, label: 'Echo Request' },
+            'timestamp-request': { type: 13, label: 'Timestamp Request' },
+            'address-mask-request': { type: 17, label: 'Address Mask Request' }
+        };
+
+        // Every probe is the first packet of its flow, so connection tracking sees it as
+        // NEW, except an ACK with no connection behind it, which conntrack marks INVALID
+        this.probeTypes = {
+            PS: { label: 'TCP SYN', protocol: 'tcp', flags: 'syn', state: 'new', defaultPort: 80 },
+            PA: { label: 'TCP ACK', protocol: 'tcp', flags: 'ack', state: 'invalid', defaultPort: 80 },
+            PU: { label: 'UDP', protocol: 'udp', state: 'new', defaultPort: 40125 },
+            PY: { label: 'SCTP INIT', protocol: 'sctp', state: 'new', defaultPort: 80 },
+            PE: { label: 'ICMP Echo', protocol: 'icmp', icmpType: 'echo-request', state: 'new' },
+            PP: { label: 'ICMP Timestamp', protocol: 'icmp', icmpType: 'timestamp-request', state: 'new' },
+            PM: { label: 'ICMP Address Mask', protocol: 'icmp', icmpType: 'address-mask-request', state: 'new' },
+            PO: { label: 'IP Protocol', state: 'new', defaultProtocol: 1 },
+            PR: { label: 'ARP', protocol: 'arp' }
+        };
+
+        // What Nmap sends to each target when no -P option is given (privileged scan)
+        this.defaultProbes = [['PE'], ['PS', 443], ['PA', 80], ['PP']];
+
+        this.actions = ['allow', 'drop', 'reject'];
+
+        // What a reject rule answers with, as iptables --reject-with names them (less the
+        // icmp- prefix). A port or protocol unreachable is what a live host's own stack
+        // sends, so Nmap takes it as the host being up; the other codes say the host or
+        // network cannot be reached, which Nmap takes as down.
+        this.rejectTypes = {
+            'port-unreachable': { label: 'ICMP Port Unreachable', code: 3, hostUp: true },
+            'proto-unreachable': { label: 'ICMP Protocol Unreachable', code: 2, hostUp: true },
+            'net-unreachable': { label: 'ICMP Network Unreachable', code: 0, hostUp: false },
+            'host-unreachable': { label: 'ICMP Host Unreachable', code: 1, hostUp: false },
+            'net-prohibited': { label: 'ICMP Network Prohibited', code: 9, hostUp: false },
+            'host-prohibited': { label: 'ICMP Host Prohibited', code: 10, hostUp: false },
+            'admin-prohibited': { label: 'ICMP Admin Prohibited', code: 13, hostUp: false },
+            rst: { label: 'TCP RST', hostUp: true }
+        };
+        this.states = ['any', 'new', 'established', 'related', 'invalid'];
+
+        // Starter rule sets for the firewall type presets
+        this.presets = {
+            stateless: {
+                label: 'Stateless (Blocks ICMP/SYN)',
+                defaultPolicy: 'allow',
+                rules: [
+                    { action: 'drop', protocol: 'tcp', flags: 'syn', comment: 'Block inbound connection attempts' },
+                    { action: 'drop', protocol: 'icmp', comment: 'Block all ICMP' },
+                    { action: 'allow', protocol: 'tcp', flags: 'ack', comment: 'Let replies back in (any ACK looks like one)' },
+                    { action: 'allow', protocol: 'udp', comment: 'Allow UDP services' }
+                ]
+            },
+            stateful: {
+                label: 'Stateful (Blocks Unexpected Packets)',
+                defaultPolicy: 'drop',
+                rules: [
+                    { action: 'allow', state: 'established', comment: 'Replies to connections already allowed' },
+                    { action: 'allow', state: 'related', comment: 'ICMP errors about allowed connections' },
+                    { action: 'reject', reject: 'rst', protocol: 'tcp', state: 'invalid', comment: 'Answer stray ACKs with a reset' },
+                    { action: 'allow', protocol: 'tcp', flags: 'syn', ports: '22,80,443', state: 'new', comment: 'Published services' },
+                    { action: 'drop', protocol: 'icmp', icmpType: 'echo-request', comment: 'No ping' },
+                    { action: 'allow', protocol: 'udp', state: 'new', comment: 'UDP services' }
+                ]
+            },
+            permissive: {
+                label: 'Permissive (Allows Most Traffic)',
+                defaultPolicy: 'allow',
+                rules: [
+                    { action: 'reject', reject: 'rst', protocol: 'tcp', ports: '23', comment: 'Telnet is closed off' },
+                    { action: 'reject', reject: 'port-unreachable', protocol: 'udp', ports: '69', comment: 'TFTP is closed off' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Copy of a preset's rule set, safe to edit
+     * @throws {Error} For an unknown preset
+     */
+    loadPreset(name) {
+        const preset = this.presets[name];
+        if (!preset) {
+            throw new Error(`Unknown firewall preset "${name}"`);
+        }
+        return {
+            defaultPolicy: preset.defaultPolicy,
+            rules: preset.rules.map(rule => this.normalizeRule(rule))
+        };
+    }
+
+    /**
+     * Fill in the match fields a rule leaves out, so every rule has the same shape
+     */
+    normalizeRule(rule) {
+        return {
+            action: rule.action || 'allow',
+            // iptables REJECT and nft reject answer port unreachable unless told otherwise
+            reject: rule.reject || 'port-unreachable',
+            protocol: rule.protocol || 'any',
+            flags: rule.flags || 'any',
+            icmpType: rule.icmpType || 'any',
+            ports: rule.ports || '',
+            state: rule.state || 'any',
+            comment: rule.comment || '',
+            // Where an imported rule came from, so verdicts can point at the original line
+            lineNumber: rule.lineNumber || null,
+            source: rule.source || null
+        };
+    }
+
+    /**
+     * Describe the packet a discovery probe sends
+     * @param {string} type - Probe option without the dash: 'PS', 'PA', 'PU', 'PY', 'PE',
+     *     'PP', 'PM', 'PO' or 'PR'
+     * @param {number} port - Destination port, or the IP protocol number for 'PO'
+     * @returns {Object} { type, label, protocol, protocolNumber, flags, icmpType, port, state }
+     * @throws {Error} For an unknown probe type
+     */
+    buildProbe(type, port) {
+        const definition = this.probeTypes[type];
+        if (!definition) {
+            throw new Error(`Unknown probe type "${type}"`);
+        }
+
+        const probe = {
+            type,
+            label: definition.label,
+            protocol: definition.protocol,
+            flags: definition.flags || null,
+            icmpType: definition.icmpType || null,
+            port: null,
+            state: definition.state || null
+        };
+
+        if (type === 'PO') {
+            // -PO sends a bare IP packet per protocol; for ICMP it carries an echo request
+            probe.protocolNumber = port || definition.defaultProtocol;
+            probe.protocol = this.protocolName(probe.protocolNumber);
+            probe.label = `IP Protocol ${probe.protocolNumber}`;
+            if (probe.protocolNumber === 1) {
+                probe.icmpType = 'echo-request';
+            }
+        } else {
+            probe.protocolNumber = this.protocolNumbers[definition.protocol] || null;
+            if (definition.defaultPort) {
+                probe.port = port || definition.defaultPort;
+            }
+        }
+        return probe;
+    }
+
+    /**
+     * Run a probe through a rule set
+     * @param {Object} probe - From buildProbe()
+     * @param {Object} ruleset - { defaultPolicy, rules }
+     * @returns {Object} { verdict, action, reject, rule, ruleNumber, reason } where verdict is
+     *     'allowed', 'blocked' (dropped), 'spoofed' (rejected with a TCP RST) or 'rejected'
+     *     (rejected with ICMP), reject is the rejectTypes key answered with, and ruleNumber
+     *     is 1-based or null when no rule matched
+     */
+    evaluate(probe, ruleset) {
+        const index = ruleset.rules.findIndex(rule => this.matches(rule, probe));
+
+        if (index === -1) {
+            // ARP is link layer; an IP packet filter never sees it
+            if (probe.protocol === 'arp') {
+                return this.decision('allow', null, null, 'ARP is not IP, so IP rules and the default policy do not apply');
+            }
+            return this.decision(ruleset.defaultPolicy, null, null, `No rule matched; default policy ${ruleset.defaultPolicy.toUpperCase()}`);
+        }
+
+        const rule = ruleset.rules[index];
+        return this.decision(rule.action, rule, index + 1, `Rule ${index + 1} matched: ${this.describeRule(rule)}`, probe);
+    }
+
+    decision(action, rule, ruleNumber, reason, probe) {
+        let verdict = action === 'drop' ? 'blocked' : 'allowed';
+        let reject = null;
+        if (action === 'reject') {
+            // A TCP reset only exists for TCP; anything else gets the default ICMP reply
+            reject = rule.reject === 'rst' && probe.protocol !== 'tcp' ? 'port-unreachable' : rule.reject;
+            verdict = reject === 'rst' ? 'spoofed' : 'rejected';
+        }
+        return { verdict, action, reject, rule, ruleNumber, reason };
+    }
+
+    /**
+     * Whether every match field a rule sets agrees with the probe
+     */
+    matches(rule, probe) {
+        if (rule.protocol && rule.protocol !== 'any') {
+            if (rule.protocol === 'arp' || probe.protocol === 'arp') {
+                if (rule.protocol !== probe.protocol) return false;
+            } else if (this.protocolNumber(rule.protocol) !== probe.protocolNumber) {
+                return false;
+            }
+        } else if (probe.protocol === 'arp') {
+            // "any" means any IP protocol
+            return false;
+        }
+
+        if (rule.flags && rule.flags !== 'any' && rule.flags !== probe.flags) {
+            return false;
+        }
+        if (rule.icmpType && rule.icmpType !== 'any' && rule.icmpType !== probe.icmpType) {
+            return false;
+        }
+        if (rule.ports && (probe.port === null || !this.portInSpec(probe.port, rule.ports))) {
+            return false;
+        }
+        if (rule.state && rule.state !== 'any' && rule.state !== probe.state) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Protocol number for a name or a numeric string, or null if unknown
+     */
+    protocolNumber(protocol) {
+        if (this.protocolNumbers[protocol] !== undefined) {
+            return this.protocolNumbers[protocol];
+        }
+        const number = parseInt(protocol, 10);
+        return String(number) === String(protocol).trim() && number >= 0 && number <= 255 ? number : null;
+    }
+
+    protocolName(number) {
+        const name = Object.keys(this.protocolNumbers).find(key => this.protocolNumbers[key] === number);
+        return name || String(number);
+    }
+
+    /**
+     * Parse a port list such as "22,80,443" or "1000-2000" into [start, end] ranges
+     * @throws {Error} For a malformed entry or a port outside 0-65535
+     */
+    parsePorts(spec) {
+        return String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\d+)(?:[-:](\d+))?$/);
+            if (!match) {
+                throw new Error(`"${part}" is not a port or port range`);
+            }
+            const start = parseInt(match[1], 10);
+            const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+            if (start > 65535 || end > 65535 || end < start) {
+                throw new Error(`"${part}" is not a valid port range`);
+            }
+            return [start, end];
+        });
+    }
+
+    portInSpec(port, spec) {
+        try {
+            return this.parsePorts(spec).some(([start, end]) => port >= start && port <= end);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check a rule's free-text fields
+     * @returns {Array} Error messages, empty when the rule is usable
+     */
+    validateRule(rule) {
+        const errors = [];
+        if (rule.ports) {
+            try {
+                this.parsePorts(rule.ports);
+            } catch (error) {
+                errors.push(error.message);
+            }
+            if (!['tcp', 'udp', 'sctp'].includes(rule.protocol)) {
+                errors.push('Ports only apply to TCP, UDP or SCTP rules');
+            }
+        }
+        if (rule.flags !== 'any' && rule.protocol !== 'tcp') {
+            errors.push('TCP flags only apply to TCP rules');
+        }
+        if (rule.icmpType !== 'any' && rule.protocol !== 'icmp') {
+            errors.push('ICMP types only apply to ICMP rules');
+        }
+        if (rule.protocol !== 'any' && rule.protocol !== 'arp' && this.protocolNumber(rule.protocol) === null) {
+            errors.push(`Unknown protocol "${rule.protocol}"`);
+        }
+        if (rule.action === 'reject' && !this.rejectTypes[rule.reject]) {
+            errors.push(`Unknown reject type "${rule.reject}"`);
+        }
+        return errors;
+    }
+
+    /**
+     * One-line summary of a rule, e.g. "reject tcp flags SYN dport 23 with tcp-reset"
+     */
+    describeRule(rule) {
+        const parts = [rule.action];
+        parts.push(rule.protocol && rule.protocol !== 'any' ? rule.protocol : 'all');
+        if (rule.flags && rule.flags !== 'any') parts.push(`flags ${rule.flags.toUpperCase()}`);
+        if (rule.icmpType && rule.icmpType !== 'any') parts.push(rule.icmpType);
+        if (rule.ports) parts.push(`dport ${rule.ports}`);
+        if (rule.state && rule.state !== 'any') parts.push(`state ${rule.state.toUpperCase()}`);
+        if (rule.action === 'reject') parts.push(rule.reject === 'rst' ? 'with tcp-reset' : `with icmp-${rule.reject}`);
+        return parts.join(' ');
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FirewallEngine;
+} else {
+    window.FirewallEngine = FirewallEngine;
+}
@@ -0,0 +1,165 @@
+/**
+ * IDS Detection Model - Estimates whether a timing configuration crosses port-scan
+ * thresholds of the form "N distinct ports from one source within M seconds"
+ */
+
+class IdsDetectionModel {
+    /**
+     * @param {TimingEngine} timingEngine - Resolves parallelism from the timing values
+     */
+    constructor(timingEngine) {
+        this.timingEngine = timingEngine;
+
+        // Round trip assumed when no link RTT is known; each probe slot in the
+        // congestion window frees up once per round trip
+        this.defaultRttMs = 100;
+
+        // Earliest trip time that still earns stealth credit; anything slower
+        // than this counts as fully stealthy on the bar
+        this.stealthHorizonSeconds = 3600;
+
+        // Starter profiles approximating common detector defaults
+        this.defaultProfiles = [
+            { name: 'Snort sfportscan (low)', ports: 5, seconds: 60 },
+            { name: 'Snort sfportscan (medium)', ports: 5, seconds: 90 },
+            { name: 'Snort sfportscan (high)', ports: 5, seconds: 600 },
+            { name: 'Suricata threshold (by_src)', ports: 20, seconds: 60 },
+            { name: 'Zeek scan policy', ports: 15, seconds: 300 }
+        ];
+    }
+
+    /**
+     * Estimate how many distinct ports per second one target sees
+     * @param {Object} params - Timing values (see getCurrentTimingParams)
+     * @param {Object} context - { linkRttMs }
+     * @returns {Object} { portsPerSecond, limitedBy } where limitedBy is
+     *     'parallelism', 'scanDelay', 'maxRate' or 'minRate'
+     */
+    estimatePortRate(params, context = {}) {
+        const rttMs = context.linkRttMs > 0 ? context.linkRttMs : this.defaultRttMs;
+
+        let portsPerSecond = Math.max(1, this.timingEngine.effectiveParallelism(params)) * 1000 / rttMs;
+        let limitedBy = 'parallelism';
+
+        // --scan-delay is enforced per host, so it caps what a single target sees
+        if (params.scanDelayMs > 0 && 1000 / params.scanDelayMs < portsPerSecond) {
+            portsPerSecond = 1000 / params.scanDelayMs;
+            limitedBy = 'scanDelay';
+        }
+        if (params.maxRate > 0 && params.maxRate < portsPerSecond) {
+            portsPerSecond = params.maxRate;
+            limitedBy = 'maxRate';
+        }
+        if (params.minRate > 0 && params.minRate > portsPerSecond) {
+            portsPerSecond = params.minRate;
+            limitedBy = 'minRate';
+        }
+
+        return { portsPerSecond, limitedBy };
+    }
+
+    /**
+     * Check a configuration against each profile
+     * @param {Object} params - Timing values (see getCurrentTimingParams)
+     * @param {Array} profiles - Profiles as { name, ports, seconds }
+     * @param {Object} context - { linkRttMs, portsPerHost }; a scan of fewer ports per
+     *     host than a profile counts can never trip it
+     * @returns {Object} { portsPerSecond, limitedBy, results, firstTrip, stealthScore }.
+     *     Each result is { profile, trips, seconds, requiredRate }; firstTrip is the
+     *     result that trips soonest, or null.
+     */
+    evaluate(params, profiles, context = {}) {
+        const rate = this.estimatePortRate(params, context);
+
+        const results = profiles.map(profile => {
+            // A sliding window of M seconds only ever holds N ports if the
+            // scan sends at least N/M of them per second
+            const requiredRate = profile.ports / profile.seconds;
+            const enoughPorts = !(context.portsPerHost > 0) || context.portsPerHost >= profile.ports;
+            const trips = enoughPorts && rate.portsPerSecond >= requiredRate;
+            return {
+                profile,
+                trips,
+                seconds: trips ? profile.ports / rate.portsPerSecond : null,
+                requiredRate
+            };
+        });
+
+        const tripped = results.filter(result => result.trips);
+        const firstTrip = tripped.length > 0 ?
+            tripped.reduce((soonest, result) => result.seconds < soonest.seconds ? result : soonest) : null;
+
+        return {
+            portsPerSecond: rate.portsPerSecond,
+            limitedBy: rate.limitedBy,
+            results,
+            firstTrip,
+            stealthScore: this.scoreStealth(firstTrip)
+        };
+    }
+
+    /**
+     * Turn the earliest trip time into a 0-100 stealth score on a log scale,
+     * keeping 100 for configurations that trip nothing
+     */
+    scoreStealth(firstTrip) {
+        if (!firstTrip) {
+            return 100;
+        }
+        const scale = Math.log10(1 + firstTrip.seconds) / Math.log10(1 + this.stealthHorizonSeconds);
+        return Math.max(2, Math.min(90, Math.round(scale * 90)));
+    }
+
+    /**
+     * Summarise an evaluation, e.g. "Trips Zeek scan policy after ~8s"
+     */
+    describe(evaluation) {
+        if (!evaluation.firstTrip) {
+            return 'Below all IDS thresholds';
+        }
+        return `Trips ${evaluation.firstTrip.profile.name} after ${this.formatSeconds(evaluation.firstTrip.seconds)}`;
+    }
+
+    /**
+     * Check a profile entered by the user
+     * @returns {string|null} Problem description, or null if the profile is usable
+     */
+    validateProfile(profile) {
+        if (!profile.name || !profile.name.trim()) {
+            return 'Profile needs a name';
+        }
+        if (!Number.isInteger(profile.ports) || profile.ports < 1) {
+            return 'Port count must be a whole number of at least 1';
+        }
+        if (!(profile.seconds > 0)) {
+            return 'Time window must be greater than 0 seconds';
+        }
+        return null;
+    }
+
+    /**
+     * Format a trip time as a rough duration, e.g. "~8s" or "~4m"
+     */
+    formatSeconds(seconds) {
+        if (seconds < 1) return '<1s';
+        if (seconds < 120) return '~' + Math.round(seconds) + 's';
+        if (seconds < 7200) return '~' + Math.round(seconds / 60) + 'm';
+        return '~' + Math.round(seconds / 3600) + 'h';
+    }
+
+    /**
+     * Format a rate in ports per second with sensible precision
+     */
+    formatRate(portsPerSecond) {
+        if (portsPerSecond >= 10) return Math.round(portsPerSecond) + ' ports/s';
+        if (portsPerSecond >= 0.1) return portsPerSecond.toFixed(1) + ' ports/s';
+        return (portsPerSecond * 60).toFixed(1) + ' ports/min';
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IdsDetectionModel;
+} else {
+    window.IdsDetectionModel = IdsDetectionModel;
+}
@@ -0,0 +1,617 @@
+/**
+ * Packet Builder - Assembles the bytes of the discovery probes Nmap sends, and of the
+ * replies they can draw, as decoded fields plus a raw buffer for hex dumps
+ */
+
+class PacketBuilder {
+    constructor() {
+        // Documentation addresses for the two ends of the path and the firewall in between
+        this.scannerAddress = '192.168.1.10';
+        this.targetAddress = '203.0.113.10';
+        this.firewallAddress = '203.0.113.1';
+        this.scannerMac = '02:00:00:00:00:0a';
+        this.targetMac = '02:00:00:00:00:14';
+
+        // Nmap picks these per probe; fixed examples keep the dump stable
+        this.example = {
+            ipId: 0x3c2a,
+            ttl: 49,
+            sourcePort: 58321,
+            sequence: 0x9f3b1c07,
+            acknowledgment: 0x5e2d8a41,
+            icmpId: 0x1f4b,
+            initiateTag: 0x7a19c3e5,
+            initialTsn: 0x2b6e90d1,
+            replySequence: 0x6a1f02c3
+        };
+
+        // Nmap's raw TCP probes advertise a 1024-byte window; SYNs carry an MSS option
+        this.tcpWindow = 1024;
+        this.tcpMss = 1460;
+
+        // Replies come from a stack that starts TTLs at 64 and advertises a larger window
+        this.replyTtl = 64;
+        this.replyWindow = 64240;
+
+        // Ports -PO and traceroute use when a protocol needs one
+        this.protocolProbePorts = { tcp: 80, udp: 40125, sctp: 80 };
+
+        // Payloads from nmap-payloads for common UDP services; other ports get an empty datagram
+        this.udpPayloads = {
+            53: {
+                label: 'DNS server status request',
+                bytes: [0x00, 0x00, 0x10, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+            },
+            123: {
+                label: 'NTPv4 client request',
+                bytes: [0xe3, 0x00, 0x04, 0xfa, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00]
+                    .concat(new Array(28).fill(0))
+                    .concat([0xc5, 0x4f, 0x23, 0x4b, 0x71, 0xb1, 0x52, 0xf3])
+            },
+            137: {
+                label: 'NetBIOS NBSTAT query',
+                bytes: [0x80, 0xf0, 0x00, 0x10, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x20]
+                    .concat(Array.from('CKAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', char => char.charCodeAt(0)))
+                    .concat([0x00, 0x00, 0x21, 0x00, 0x01])
+            },
+            161: {
+                label: 'SNMPv3 GetRequest (engine discovery)',
+                bytes: [0x30, 0x3a, 0x02, 0x01, 0x03, 0x30, 0x0f, 0x02, 0x02, 0x4a, 0x69, 0x02, 0x03, 0x00, 0xff, 0xe3,
+                    0x04, 0x01, 0x04, 0x02, 0x01, 0x03, 0x04, 0x10, 0x30, 0x0e, 0x04, 0x00, 0x02, 0x01, 0x00, 0x02,
+                    0x01, 0x00, 0x04, 0x00, 0x04, 0x00, 0x04, 0x00, 0x30, 0x12, 0x04, 0x00, 0x04, 0x00, 0xa0, 0x0c,
+                    0x02, 0x02, 0x37, 0xf0, 0x02, 0x01, 0x00, 0x02, 0x01, 0x00, 0x30, 0x00]
+            }
+        };
+
+        this.protocolNames = { 1: 'ICMP', 2: 'IGMP', 4: 'IP-in-IP', 6: 'TCP', 17: 'UDP', 132: 'SCTP' };
+        this.icmpTypeNames = {
+            0: 'Echo Reply', 3: 'Destination Unreachable', 8: 'Echo Request', 13: 'Timestamp Request',
+            14: 'Timestamp Reply', 17: 'Address Mask Request', 18: 'Address Mask Reply'
+        };
+        this.unreachableCodes = {
+            0: 'Network Unreachable', 1: 'Host Unreachable', 2: 'Protocol Unreachable', 3: 'Port Unreachable',
+            9: 'Network Administratively Prohibited', 10: 'Host Administratively Prohibited',
+            13: 'Communication Administratively Prohibited'
+        };
+        this.sctpChunkNames = { 1: 'INIT', 2: 'INIT ACK', 6: 'ABORT' };
+        this.tcpFlagBits = { fin: 0x01, syn: 0x02, rst: 0x04, psh: 0x08, ack: 0x10, urg: 0x20 };
+    }
+
+    /**
+     * Build the packet Nmap sends for a probe
+     * @param {Object} probe - From FirewallEngine.buildProbe()
+     * @param {Object} options - { ttl } to fix the TTL, as traceroute does
+     * @returns {Object} { title, layers, bytes, notes } where each layer is
+     *     { name, offset, fields } and each field { name, display, offset, length, random }
+     */
+    build(probe, options = {}) {
+        const ip = { src: this.scannerAddress, dst: this.targetAddress, id: this.example.ipId, ttl: options.ttl || this.example.ttl, randomTtl: !options.ttl };
+        const notes = ['Fields marked random change with every probe; the values shown are examples.'];
+        let layers;
+
+        if (probe.protocol === 'arp') {
+            layers = this.arp(1);
+            notes.push('ARP requests are Ethernet broadcasts, so only hosts on the local segment see them.');
+        } else if (probe.type === 'PO') {
+            layers = this.protocolProbe(probe.protocolNumber, ip);
+            if (!this.protocolNames[probe.protocolNumber] || [2, 4].includes(probe.protocolNumber)) {
+                notes.push('Nmap adds headers only for ICMP, IGMP, TCP, UDP and SCTP; other protocols go out as a bare IP header.');
+            }
+        } else if (probe.protocol === 'tcp') {
+            const flags = probe.flags === 'syn' ? ['syn'] : ['ack'];
+            layers = this.ipPacket(ip, 6, this.tcp(ip, {
+                sourcePort: this.example.sourcePort,
+                destPort: probe.port,
+                sequence: this.example.sequence,
+                acknowledgment: probe.flags === 'ack' ? this.example.acknowledgment : 0,
+                flags,
+                window: this.tcpWindow,
+                mss: probe.flags === 'syn' ? this.tcpMss : null,
+                randomSequence: true,
+                randomAck: probe.flags === 'ack'
+            }));
+        } else if (probe.protocol === 'udp') {
+            const payload = this.udpPayloads[probe.port];
+            layers = this.ipPacket(ip, 17, this.udp(ip, this.example.sourcePort, probe.port, payload ? payload.bytes : [], payload ? payload.label : null));
+            notes.push(payload ? `Port ${probe.port} gets the ${payload.label} from nmap-payloads, so an open service answers.` :
+                `No nmap-payloads entry for port ${probe.port}, so the datagram is empty; open ports rarely answer it.`);
+        } else if (probe.protocol === 'sctp') {
+            layers = this.ipPacket(ip, 132, this.sctp(ip, this.example.sourcePort, probe.port, 0, this.sctpInit(1)));
+        } else {
+            layers = this.ipPacket(ip, 1, this.icmpRequest(probe.icmpType));
+        }
+        if (options.ttl) {
+            notes.push(`TTL is fixed at ${options.ttl} so the router where it runs out answers with ICMP Time Exceeded.`);
+        }
+
+        return Object.assign(this.assemble(layers), { title: this.title(probe, options), notes });
+    }
+
+    title(probe, options) {
+        const option = probe.type === 'PR' ? '-PR' : `-${probe.type}${probe.port !== null ? probe.port : probe.type === 'PO' ? probe.protocolNumber : ''}`;
+        return `${option}: ${probe.label}${options.ttl ? ` (TTL ${options.ttl})` : ''}`;
+    }
+
+    /**
+     * Every reply the probe can draw, for each firewall verdict
+     * @param {Object} probe - From FirewallEngine.buildProbe()
+     * @param {Object} rejectType - FirewallEngine.rejectTypes entry the ICMP reject answers with
+     * @returns {Array} { verdict, label, description, packet } with packet null when
+     *     nothing comes back or the reply depends on the service
+     */
+    replies(probe, rejectType) {
+        if (probe.protocol === 'arp') {
+            return [{
+                verdict: 'allowed',
+                label: 'Host on the segment',
+                description: 'The host answers with its MAC address. IP firewalls never see ARP, so there is no blocked or rejected case.',
+                packet: this.assemble(this.arp(2))
+            }];
+        }
+
+        const probeBytes = this.build(probe).bytes;
+        const quoted = Array.from(probeBytes.slice(0, 28));
+        const reply = { src: this.targetAddress, dst: this.scannerAddress, id: 0, ttl: this.replyTtl };
+        const replies = this.hostReplies(probe, reply, quoted).map(entry => Object.assign({ verdict: 'allowed' }, entry));
+
+        replies.push({
+            verdict: 'blocked',
+            label: 'Dropped',
+            description: 'Nothing comes back. Nmap retransmits, then gives up on this probe; if no other probe gets an answer the host is reported down.',
+            packet: null
+        });
+
+        if (probe.protocol === 'tcp') {
+            // Only -PS sends a SYN; -PA and -PO6 send an ACK, which a reset answers in kind
+            const syn = probe.flags === 'syn';
+            replies.push({
+                verdict: 'spoofed',
+                label: 'Rejected with tcp-reset',
+                description: 'The firewall answers with a RST that carries the target\'s address, so Nmap reports the host up even if it does not exist, unless --discovery-ignore-rst is used.',
+                packet: this.assemble(this.ipPacket(reply, 6, this.tcp(reply, {
+                    sourcePort: probe.port || this.protocolProbePorts.tcp,
+                    destPort: this.example.sourcePort,
+                    sequence: syn ? 0 : this.example.acknowledgment,
+                    acknowledgment: syn ? this.example.sequence + 1 : 0,
+                    flags: syn ? ['rst', 'ack'] : ['rst'],
+                    window: 0
+                })))
+            });
+        } else {
+            replies.push({
+                verdict: 'spoofed',
+                label: 'Rejected with tcp-reset',
+                description: 'A TCP reset can only answer TCP, so this probe is rejected with ICMP instead (below).',
+                packet: null
+            });
+        }
+
+        // A port or protocol unreachable stands in for the target's own answer; the other
+        // codes are a firewall or router speaking for itself
+        const firewall = rejectType.hostUp ? reply : Object.assign({}, reply, { src: this.firewallAddress });
+        replies.push({
+            verdict: 'rejected',
+            label: `Rejected with ${rejectType.label}`,
+            description: rejectType.hostUp ?
+                `The firewall answers with ${rejectType.label} from the target's address, just as the host would itself, so Nmap reports the host up.` :
+                `The firewall answers from its own address with ${rejectType.label}. Nmap takes that as the host being unreachable, not up.`,
+            packet: this.assemble(this.ipPacket(firewall, 1, this.icmpError(rejectType.code, quoted)))
+        });
+        return replies;
+    }
+
+    /**
+     * What the target itself sends back once a probe reaches it
+     */
+    hostReplies(probe, reply, quoted) {
+        const protocolNumber = probe.type === 'PO' ? probe.protocolNumber : null;
+        const port = probe.port;
+
+        if (probe.protocol === 'tcp' || protocolNumber === 6) {
+            const destPort = port || this.protocolProbePorts.tcp;
+            const tcpReply = (options) => this.assemble(this.ipPacket(reply, 6, this.tcp(reply, Object.assign({
+                sourcePort: destPort,
+                destPort: this.example.sourcePort
+            }, options))));
+            if (probe.flags === 'syn') {
+                return [
+                    {
+                        label: 'Port open',
+                        description: 'SYN/ACK: the host is up. Nmap\'s raw socket never opened a connection, so the scanner\'s kernel resets it.',
+                        packet: tcpReply({ sequence: this.example.replySequence, acknowledgment: this.example.sequence + 1, flags: ['syn', 'ack'], window: this.replyWindow, mss: this.tcpMss })
+                    },
+                    {
+                        label: 'Port closed',
+                        description: 'RST/ACK: the port is closed but the host is up.',
+                        packet: tcpReply({ sequence: 0, acknowledgment: this.example.sequence + 1, flags: ['rst', 'ack'], window: 0 })
+                    }
+                ];
+            }
+            return [{
+                label: 'Open or closed port',
+                description: 'An ACK for a connection the host never saw draws a RST whatever the port state, so the host is up.',
+                packet: tcpReply({ sequence: this.example.acknowledgment, acknowledgment: 0, flags: ['rst'], window: 0 })
+            }];
+        }
+
+        if (probe.protocol === 'udp' || protocolNumber === 17) {
+            const payload = this.udpPayloads[port];
+            return [
+                {
+                    label: 'Port open',
+                    description: payload ? `The service answers the ${payload.label}; the reply depends on the service, so it is not decoded here.` :
+                        'An empty datagram usually gets no answer from an open service, so this probe alone does not prove the host is up.',
+                    packet: null
+                },
+                {
+                    label: 'Port closed',
+                    description: 'ICMP port unreachable from the target itself: the host is up. Many hosts rate-limit these replies.',
+                    packet: this.assemble(this.ipPacket(reply, 1, this.icmpError(3, quoted)))
+                }
+            ];
+        }
+
+        if (probe.protocol === 'sctp' || protocolNumber === 132) {
+            const destPort = port || this.protocolProbePorts.sctp;
+            return [
+                {
+                    label: 'Port open',
+                    description: 'INIT ACK: the host is up. Nmap resets the association with an ABORT.',
+                    packet: this.assemble(this.ipPacket(reply, 132, this.sctp(reply, destPort, this.example.sourcePort, this.example.initiateTag, this.sctpInit(2))))
+                },
+                {
+                    label: 'Port closed',
+                    description: 'ABORT: no listener on the port, but the host is up.',
+                    packet: this.assemble(this.ipPacket(reply, 132, this.sctp(reply, destPort, this.example.sourcePort, this.example.initiateTag, this.sctpAbort())))
+                }
+            ];
+        }
+
+        if (probe.protocol === 'icmp' || protocolNumber === 1) {
+            const replyTypes = { 'echo-request': 0, 'timestamp-request': 14, 'address-mask-request': 18 };
+            const type = replyTypes[probe.icmpType || 'echo-request'];
+            return [{
+                label: 'Host answers',
+                description: `${this.icmpTypeNames[type]}: the host is up. Many hosts ignore ${probe.icmpType === 'echo-request' ? 'echo requests behind a host firewall' : 'this request type entirely'}.`,
+                packet: this.assemble(this.ipPacket(reply, 1, this.icmpReply(type)))
+            }];
+        }
+
+        // Other -PO protocols: the host either handles the protocol silently or refuses it
+        return [
+            {
+                label: 'Protocol supported',
+                description: `Most hosts accept ${this.protocolNames[protocolNumber] || `protocol ${protocolNumber}`} without answering, so this case proves nothing.`,
+                packet: null
+            },
+            {
+                label: 'Protocol not supported',
+                description: 'ICMP protocol unreachable from the target: the host is up.',
+                packet: this.assemble(this.ipPacket(reply, 1, this.icmpError(2, quoted)))
+            }
+        ];
+    }
+
+    /**
+     * Layers for a -PO probe: Nmap builds a proper header for the protocols it knows
+     */
+    protocolProbe(protocolNumber, ip) {
+        switch (protocolNumber) {
+            case 1:
+                return this.ipPacket(ip, 1, this.icmpRequest('echo-request'));
+            case 2:
+                return this.ipPacket(ip, 2, this.igmpQuery());
+            case 6:
+                return this.ipPacket(ip, 6, this.tcp(ip, {
+                    sourcePort: this.example.sourcePort,
+                    destPort: this.protocolProbePorts.tcp,
+                    sequence: this.example.sequence,
+                    acknowledgment: this.example.acknowledgment,
+                    flags: ['ack'],
+                    window: this.tcpWindow,
+                    randomSequence: true,
+                    randomAck: true
+                }));
+            case 17:
+                return this.ipPacket(ip, 17, this.udp(ip, this.example.sourcePort, this.protocolProbePorts.udp, [], null));
+            case 132:
+                return this.ipPacket(ip, 132, this.sctp(ip, this.example.sourcePort, this.protocolProbePorts.sctp, 0, this.sctpInit(1)));
+            default:
+                return this.ipPacket(ip, protocolNumber, []);
+        }
+    }
+
+    // ---------- Layers ----------
+
+    layer(name) {
+        return { name, bytes: [], fields: [] };
+    }
+
+    /**
+     * Append a big-endian field (or raw bytes when value is an array) to a layer
+     */
+    put(layer, name, length, value, display, random) {
+        const offset = layer.bytes.length;
+        if (Array.isArray(value)) {
+            layer.bytes.push(...value);
+        } else {
+            for (let shift = (length - 1) * 8; shift >= 0; shift -= 8) {
+                layer.bytes.push(Math.floor(value / Math.pow(2, shift)) & 0xff);
+            }
+        }
+        const field = { name, display: display !== undefined ? String(display) : String(value), offset, length, random: !!random };
+        layer.fields.push(field);
+        return field;
+    }
+
+    setChecksum(layer, field, value, littleEndian) {
+        for (let i = 0; i < field.length; i++) {
+            const shift = littleEndian ? i * 8 : (field.length - 1 - i) * 8;
+            layer.bytes[field.offset + i] = Math.floor(value / Math.pow(2, shift)) & 0xff;
+        }
+        field.display = `0x${value.toString(16).padStart(field.length * 2, '0')}`;
+    }
+
+    /**
+     * An IPv4 header in front of the given transport layers
+     */
+    ipPacket(ip, protocol, inner) {
+        const layers = Array.isArray(inner) ? inner : [inner];
+        const payloadLength = layers.reduce((sum, layer) => sum + layer.bytes.length, 0);
+        const header = this.layer('Internet Protocol Version 4');
+        this.put(header, 'Version / Header Length', 1, 0x45, '4 / 20 bytes');
+        this.put(header, 'DSCP / ECN', 1, 0, '0x00');
+        this.put(header, 'Total Length', 2, 20 + payloadLength);
+        this.put(header, 'Identification', 2, ip.id, `0x${ip.id.toString(16).padStart(4, '0')}`, ip.id !== 0);
+        this.put(header, 'Flags / Fragment Offset', 2, 0, 'None / 0');
+        this.put(header, 'Time to Live', 1, ip.ttl, ip.ttl, !!ip.randomTtl);
+        this.put(header, 'Protocol', 1, protocol, `${protocol} (${this.protocolNames[protocol] || 'Unknown'})`);
+        const checksum = this.put(header, 'Header Checksum', 2, 0);
+        this.put(header, 'Source Address', 4, this.addressBytes(ip.src), ip.src);
+        this.put(header, 'Destination Address', 4, this.addressBytes(ip.dst), ip.dst);
+        this.setChecksum(header, checksum, this.internetChecksum(header.bytes));
+        return [header].concat(layers);
+    }
+
+    tcp(ip, options) {
+        const tcp = this.layer('Transmission Control Protocol');
+        const flags = options.flags.reduce((bits, flag) => bits | this.tcpFlagBits[flag], 0);
+        const headerLength = options.mss ? 24 : 20;
+        this.put(tcp, 'Source Port', 2, options.sourcePort, options.sourcePort, options.sourcePort === this.example.sourcePort);
+        this.put(tcp, 'Destination Port', 2, options.destPort);
+        this.put(tcp, 'Sequence Number', 4, options.sequence >>> 0, options.sequence >>> 0, !!options.randomSequence);
+        this.put(tcp, 'Acknowledgment Number', 4, options.acknowledgment >>> 0, options.acknowledgment >>> 0, !!options.randomAck);
+        this.put(tcp, 'Header Length / Flags', 2, (headerLength / 4) * 4096 + flags,
+            `${headerLength} bytes / ${options.flags.map(flag => flag.toUpperCase()).join(', ')}`);
+        this.put(tcp, 'Window', 2, options.window);
+        const checksum = this.put(tcp, 'Checksum', 2, 0);
+        this.put(tcp, 'Urgent Pointer', 2, 0);
+        if (options.mss) {
+            this.put(tcp, 'Option: Maximum Segment Size', 4, [0x02, 0x04, options.mss >> 8, options.mss & 0xff], options.mss);
+        }
+        this.setChecksum(tcp, checksum, this.internetChecksum(this.pseudoHeader(ip, 6, tcp.bytes.length).concat(tcp.bytes)));
+        return tcp;
+    }
+
+    udp(ip, sourcePort, destPort, payload, payloadLabel) {
+        const udp = this.layer('User Datagram Protocol');
+        this.put(udp, 'Source Port', 2, sourcePort, sourcePort, true);
+        this.put(udp, 'Destination Port', 2, destPort);
+        this.put(udp, 'Length', 2, 8 + payload.length);
+        const checksum = this.put(udp, 'Checksum', 2, 0);
+        if (payload.length > 0) {
+            this.put(udp, 'Payload', payload.length, payload, `${payloadLabel} (${payload.length} bytes)`);
+        }
+        this.setChecksum(udp, checksum, this.internetChecksum(this.pseudoHeader(ip, 17, udp.bytes.length).concat(udp.bytes)));
+        return udp;
+    }
+
+    icmpRequest(icmpType) {
+        const types = { 'echo-request': 8, 'timestamp-request': 13, 'address-mask-request': 17 };
+        const type = types[icmpType];
+        const icmp = this.icmpHeader(type, 0);
+        this.put(icmp.layer, 'Identifier', 2, this.example.icmpId, `0x${this.example.icmpId.toString(16)}`, true);
+        this.put(icmp.layer, 'Sequence Number', 2, 0);
+        if (type === 13) {
+            ['Originate', 'Receive', 'Transmit'].forEach(name => this.put(icmp.layer, `${name} Timestamp`, 4, 0));
+        } else if (type === 17) {
+            this.put(icmp.layer, 'Address Mask', 4, [0, 0, 0, 0], '0.0.0.0');
+        }
+        return this.finishIcmp(icmp);
+    }
+
+    icmpReply(type) {
+        const icmp = this.icmpHeader(type, 0);
+        this.put(icmp.layer, 'Identifier', 2, this.example.icmpId, `0x${this.example.icmpId.toString(16)}`, true);
+        this.put(icmp.layer, 'Sequence Number', 2, 0);
+        if (type === 14) {
+            // Milliseconds since midnight UTC, here 09:30:00
+            this.put(icmp.layer, 'Originate Timestamp', 4, 0);
+            this.put(icmp.layer, 'Receive Timestamp', 4, 34200000, '34200000 (09:30:00 UTC)');
+            this.put(icmp.layer, 'Transmit Timestamp', 4, 34200000, '34200000 (09:30:00 UTC)');
+        } else if (type === 18) {
+            this.put(icmp.layer, 'Address Mask', 4, [255, 255, 255, 0], '255.255.255.0');
+        }
+        return this.finishIcmp(icmp);
+    }
+
+    /**
+     * Destination unreachable quoting the offending packet's IP header and first 8 bytes
+     */
+    icmpError(code, quoted) {
+        const icmp = this.icmpHeader(3, code);
+        this.put(icmp.layer, 'Unused', 4, 0);
+        this.put(icmp.layer, 'Original Datagram', quoted.length, quoted, `IP header + first 8 bytes of the probe (${quoted.length} bytes)`);
+        return this.finishIcmp(icmp);
+    }
+
+    icmpHeader(type, code) {
+        const layer = this.layer('Internet Control Message Protocol');
+        this.put(layer, 'Type', 1, type, `${type} (${this.icmpTypeNames[type]})`);
+        this.put(layer, 'Code', 1, code, type === 3 ? `${code} (${this.unreachableCodes[code]})` : code);
+        return { layer, checksum: this.put(layer, 'Checksum', 2, 0) };
+    }
+
+    finishIcmp(icmp) {
+        this.setChecksum(icmp.layer, icmp.checksum, this.internetChecksum(icmp.layer.bytes));
+        return icmp.layer;
+    }
+
+    igmpQuery() {
+        const igmp = this.layer('Internet Group Management Protocol');
+        this.put(igmp, 'Type', 1, 0x11, '0x11 (Membership Query)');
+        this.put(igmp, 'Max Response Time', 1, 0);
+        const checksum = this.put(igmp, 'Checksum', 2, 0);
+        this.put(igmp, 'Group Address', 4, [0, 0, 0, 0], '0.0.0.0');
+        this.setChecksum(igmp, checksum, this.internetChecksum(igmp.bytes));
+        return igmp;
+    }
+
+    /**
+     * SCTP common header and one chunk; the CRC32c checksum covers both
+     */
+    sctp(ip, sourcePort, destPort, verificationTag, chunk) {
+        const sctp = this.layer('Stream Control Transmission Protocol');
+        this.put(sctp, 'Source Port', 2, sourcePort, sourcePort, sourcePort === this.example.sourcePort);
+        this.put(sctp, 'Destination Port', 2, destPort);
+        this.put(sctp, 'Verification Tag', 4, verificationTag, `0x${verificationTag.toString(16).padStart(8, '0')}`);
+        const checksum = this.put(sctp, 'Checksum (CRC32c)', 4, 0);
+        this.setChecksum(sctp, checksum, this.crc32c(sctp.bytes.concat(chunk.bytes)), true);
+        return [sctp, chunk];
+    }
+
+    sctpInit(type) {
+        const chunk = this.layer(`SCTP ${this.sctpChunkNames[type]} Chunk`);
+        const cookie = type === 2 ? [0x00, 0x07, 0x00, 0x0c, 0xc0, 0x0c, 0x1e, 0x5a, 0x3d, 0x77, 0x21, 0x90] : [];
+        this.put(chunk, 'Chunk Type', 1, type, `${type} (${this.sctpChunkNames[type]})`);
+        this.put(chunk, 'Chunk Flags', 1, 0, '0x00');
+        this.put(chunk, 'Chunk Length', 2, 20 + cookie.length);
+        const tag = type === 1 ? this.example.initiateTag : this.example.replySequence;
+        this.put(chunk, 'Initiate Tag', 4, tag, `0x${tag.toString(16)}`, true);
+        this.put(chunk, 'Advertised Receiver Window', 4, type === 1 ? 32768 : 106496);
+        this.put(chunk, 'Outbound Streams', 2, 10);
+        this.put(chunk, 'Inbound Streams', 2, type === 1 ? 2048 : 10);
+        this.put(chunk, 'Initial TSN', 4, this.example.initialTsn, `0x${this.example.initialTsn.toString(16)}`, true);
+        if (cookie.length > 0) {
+            this.put(chunk, 'State Cookie Parameter', cookie.length, cookie, `${cookie.length - 4} bytes (opaque)`);
+        }
+        return chunk;
+    }
+
+    sctpAbort() {
+        const chunk = this.layer('SCTP ABORT Chunk');
+        this.put(chunk, 'Chunk Type', 1, 6, '6 (ABORT)');
+        this.put(chunk, 'Chunk Flags', 1, 0, '0x00');
+        this.put(chunk, 'Chunk Length', 2, 4);
+        return chunk;
+    }
+
+    /**
+     * Ethernet frame with an ARP request (1) or reply (2)
+     */
+    arp(operation) {
+        const request = operation === 1;
+        const ethernet = this.layer('Ethernet II');
+        this.put(ethernet, 'Destination MAC', 6, request ? new Array(6).fill(0xff) : this.macBytes(this.scannerMac),
+            request ? 'ff:ff:ff:ff:ff:ff (broadcast)' : this.scannerMac);
+        this.put(ethernet, 'Source MAC', 6, this.macBytes(request ? this.scannerMac : this.targetMac), request ? this.scannerMac : this.targetMac);
+        this.put(ethernet, 'EtherType', 2, 0x0806, '0x0806 (ARP)');
+
+        const arp = this.layer('Address Resolution Protocol');
+        this.put(arp, 'Hardware Type', 2, 1, '1 (Ethernet)');
+        this.put(arp, 'Protocol Type', 2, 0x0800, '0x0800 (IPv4)');
+        this.put(arp, 'Hardware Size', 1, 6);
+        this.put(arp, 'Protocol Size', 1, 4);
+        this.put(arp, 'Opcode', 2, operation, request ? '1 (Request)' : '2 (Reply)');
+        const sender = request ? [this.scannerMac, this.scannerAddress] : [this.targetMac, this.targetAddress];
+        const target = request ? ['00:00:00:00:00:00', this.targetAddress] : [this.scannerMac, this.scannerAddress];
+        this.put(arp, 'Sender MAC', 6, this.macBytes(sender[0]), sender[0]);
+        this.put(arp, 'Sender IP', 4, this.addressBytes(sender[1]), sender[1]);
+        this.put(arp, 'Target MAC', 6, this.macBytes(target[0]), target[0]);
+        this.put(arp, 'Target IP', 4, this.addressBytes(target[1]), target[1]);
+        return [ethernet, arp];
+    }
+
+    /**
+     * Join layers into one buffer, giving each layer and field its absolute offset
+     */
+    assemble(layers) {
+        let offset = 0;
+        const bytes = [];
+        const assembled = layers.map(layer => {
+            const entry = {
+                name: layer.name,
+                offset,
+                length: layer.bytes.length,
+                fields: layer.fields.map(field => Object.assign({}, field, { offset: field.offset + offset }))
+            };
+            bytes.push(...layer.bytes);
+            offset += layer.bytes.length;
+            return entry;
+        });
+        return { layers: assembled, bytes: Uint8Array.from(bytes) };
+    }
+
+    // ---------- Encoding helpers ----------
+
+    addressBytes(address) {
+        return address.split('.').map(part => parseInt(part, 10));
+    }
+
+    macBytes(mac) {
+        return mac.split(':').map(part => parseInt(part, 16));
+    }
+
+    pseudoHeader(ip, protocol, length) {
+        return this.addressBytes(ip.src).concat(this.addressBytes(ip.dst), [0, protocol, length >> 8, length & 0xff]);
+    }
+
+    /**
+     * RFC 1071 ones' complement sum used by IP, ICMP, IGMP, TCP and UDP
+     */
+    internetChecksum(bytes) {
+        let sum = 0;
+        for (let i = 0; i < bytes.length; i += 2) {
+            sum += (bytes[i] << 8) + (i + 1 < bytes.length ? bytes[i + 1] : 0);
+        }
+        while (sum > 0xffff) {
+            sum = (sum & 0xffff) + (sum >>> 16);
+        }
+        return (~sum) & 0xffff;
+    }
+
+    crc32c(bytes) {
+        let crc = 0xffffffff;
+        bytes.forEach(byte => {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1;
+            }
+        });
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Classic 16-bytes-per-line hex and ASCII dump
+     * @returns {Array} Lines as { offset, hex: [byte strings], ascii }
+     */
+    hexDump(bytes) {
+        const lines = [];
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            const chunk = Array.from(bytes.slice(offset, offset + 16));
+            lines.push({
+                offset: offset.toString(16).padStart(4, '0'),
+                hex: chunk.map(byte => byte.toString(16).padStart(2, '0')),
+                ascii: chunk.map(byte => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.').join('')
+            });
+        }
+        return lines;
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PacketBuilder;
+} else {
+    window.PacketBuilder = PacketBuilder;
+}
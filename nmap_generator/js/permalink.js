@@ -0,0 +1,82 @@
+/**
+ * Timing Permalink - Encodes the timing page state in the URL hash so it survives reloads and can be shared
+ */
+
+class TimingPermalink {
+    constructor() {
+        // Slider values stored in the link (only written in custom mode)
+        this.paramKeys = [
+            'maxRtt', 'minRtt', 'initialRtt', 'maxRetries', 'maxScanDelay', 'parallelism',
+            'scanDelay', 'minHostgroup', 'maxHostgroup', 'minParallelism', 'maxParallelism',
+            'minRate', 'maxRate', 'hostTimeout', 'scriptTimeout'
+        ];
+        this.protocols = ['tcp', 'udp', 'tcp-udp', 'sctp'];
+    }
+
+    /**
+     * Encode page state as a hash fragment (without the leading #)
+     * @param {Object} state - { template, protocol, custom, params }
+     */
+    encode(state) {
+        const query = new URLSearchParams();
+        query.set('t', state.template);
+        query.set('proto', state.protocol);
+
+        if (state.custom) {
+            query.set('custom', '1');
+            this.paramKeys.forEach(key => {
+                if (state.params[key] !== undefined) {
+                    query.set(key, state.params[key]);
+                }
+            });
+        }
+
+        return query.toString();
+    }
+
+    /**
+     * Decode a hash fragment back into page state
+     * @param {string} hash - location.hash, with or without the leading #
+     * @returns {Object|null} State, or null if the hash holds no timing state
+     */
+    decode(hash) {
+        const query = new URLSearchParams((hash || '').replace(/^#/, ''));
+        if (!query.has('t') && !query.has('proto')) {
+            return null;
+        }
+
+        const template = parseInt(query.get('t'), 10);
+        const protocol = query.get('proto');
+        const state = {
+            template: template >= 0 && template <= 5 ? template : 3,
+            protocol: this.protocols.includes(protocol) ? protocol : 'tcp',
+            custom: query.get('custom') === '1',
+            params: {}
+        };
+
+        if (state.custom) {
+            this.paramKeys.forEach(key => {
+                const value = parseInt(query.get(key), 10);
+                if (!isNaN(value)) {
+                    state.params[key] = value;
+                }
+            });
+        }
+
+        return state;
+    }
+
+    /**
+     * Build a full shareable URL for the given state
+     */
+    buildUrl(state, currentUrl) {
+        return currentUrl.split('#')[0] + '#' + this.encode(state);
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimingPermalink;
+} else {
+    window.TimingPermalink = TimingPermalink;
+}
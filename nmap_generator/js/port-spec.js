@@ -0,0 +1,244 @@
+/**
+ * Port Spec Builder - Validates Nmap port selections (-p lists and ranges, T:/U:/S:
+ * qualifiers, --top-ports, -F and -p-) and counts the ports scanned per protocol
+ */
+
+class PortSpecBuilder {
+    constructor() {
+        this.modes = {
+            default: { label: 'Default (top 1000)' },
+            fast: { label: 'Fast (-F, top 100)' },
+            top: { label: 'Most common (--top-ports)' },
+            all: { label: 'All ports (-p-)' },
+            list: { label: 'Port list (-p)' }
+        };
+
+        // Ports Nmap picks from nmap-services when no -p is given
+        this.defaultTopPorts = 1000;
+        this.fastTopPorts = 100;
+        this.maxPort = 65535;
+
+        // Protocols each page protocol mode scans
+        this.scannedProtocols = {
+            tcp: ['tcp'],
+            udp: ['udp'],
+            'tcp-udp': ['tcp', 'udp'],
+            sctp: ['sctp']
+        };
+
+        this.qualifiers = { T: 'tcp', U: 'udp', S: 'sctp' };
+        this.protocolLabels = { tcp: 'TCP', udp: 'UDP', sctp: 'SCTP' };
+
+        // UDP scans past this many ports crawl along at the target's ICMP rate limit
+        this.slowUdpPorts = 1000;
+    }
+
+    /**
+     * Build the port arguments for a protocol mode
+     * @param {Object} selection - { mode, list, top } where mode is a key of this.modes
+     * @param {string} protocol - 'tcp', 'udp', 'tcp-udp' or 'sctp'
+     * @returns {Object} { args, counts, total, errors, warnings, exact } where counts maps
+     *     each scanned protocol to its port count and total is the ports per host
+     */
+    build(selection, protocol) {
+        const scanned = this.scannedProtocols[protocol] || ['tcp'];
+        const result = { args: [], counts: {}, total: 0, errors: [], warnings: [], exact: true };
+        const setAll = (count) => scanned.forEach(proto => { result.counts[proto] = count; });
+
+        switch (selection.mode) {
+            case 'fast':
+                result.args = ['-F'];
+                setAll(this.fastTopPorts);
+                break;
+            case 'top': {
+                const top = String(selection.top === undefined ? '' : selection.top).trim();
+                if (!/^\d+$/.test(top) || parseInt(top, 10) < 1 || parseInt(top, 10) > this.maxPort) {
+                    result.errors.push(`--top-ports needs a whole number from 1 to ${this.maxPort}`);
+                    setAll(0);
+                } else {
+                    result.args = ['--top-ports', top];
+                    setAll(parseInt(top, 10));
+                }
+                break;
+            }
+            case 'all':
+                result.args = ['-p-'];
+                setAll(this.maxPort);
+                break;
+            case 'list':
+                this.buildList(selection.list || '', scanned, result);
+                break;
+            default:
+                setAll(this.defaultTopPorts);
+        }
+
+        result.total = scanned.reduce((sum, proto) => sum + (result.counts[proto] || 0), 0);
+
+        if ((result.counts.udp || 0) > this.slowUdpPorts) {
+            result.warnings.push(`Scanning ${result.counts.udp.toLocaleString('en-US')} UDP ports is slow: closed ports answer only as fast as the target's ICMP rate limit`);
+        }
+        return result;
+    }
+
+    /**
+     * Fill a build result from a -p list
+     */
+    buildList(text, scanned, result) {
+        // Nmap does not allow spaces inside the list
+        const list = text.replace(/\s+/g, '');
+        if (!list) {
+            result.errors.push('Enter ports to scan, e.g. 22,80,443 or T:1-1024,U:53');
+            scanned.forEach(proto => { result.counts[proto] = 0; });
+            return;
+        }
+
+        const parsed = this.parseList(list);
+        result.errors.push(...parsed.errors);
+        result.args = ['-p', list];
+
+        Object.keys(this.protocolLabels).forEach(proto => {
+            const qualified = parsed.ranges[proto].length > 0 || parsed.names[proto] > 0;
+            if (qualified && !scanned.includes(proto)) {
+                result.warnings.push(`${proto.charAt(0).toUpperCase()}: ports are ignored because ${this.protocolLabels[proto]} is not being scanned`);
+            }
+        });
+
+        scanned.forEach(proto => {
+            const ranges = this.mergeRanges(parsed.ranges.all.concat(parsed.ranges[proto]));
+            const names = parsed.names.all + parsed.names[proto];
+            result.counts[proto] = ranges.reduce((sum, [low, high]) => sum + high - low + 1, 0) + names;
+            if (names > 0) {
+                result.exact = false;
+            }
+            if (result.counts[proto] === 0 && parsed.errors.length === 0) {
+                result.errors.push(`No ${this.protocolLabels[proto]} ports selected; add unqualified ports or ${proto.charAt(0).toUpperCase()}: ports`);
+            }
+        });
+
+        if (!result.exact) {
+            result.warnings.push('Service names count as one port each; wildcards may match more');
+        }
+    }
+
+    /**
+     * Parse a -p list. Ports before any qualifier apply to every protocol; a T:, U:
+     * or S: qualifier applies to the ports that follow it.
+     * @returns {Object} { ranges, names, errors } where ranges and names are keyed
+     *     'all', 'tcp', 'udp' and 'sctp'
+     */
+    parseList(list) {
+        const ranges = { all: [], tcp: [], udp: [], sctp: [] };
+        const names = { all: 0, tcp: 0, udp: 0, sctp: 0 };
+        const errors = [];
+        let current = 'all';
+
+        list.split(',').forEach(item => {
+            let spec = item;
+            const qualifier = spec.match(/^([A-Za-z]):/);
+            if (qualifier) {
+                const proto = this.qualifiers[qualifier[1].toUpperCase()];
+                if (!proto) {
+                    errors.push(`"${qualifier[1]}:" is not a port qualifier (use T:, U: or S:)`);
+                    return;
+                }
+                current = proto;
+                spec = spec.slice(2);
+            }
+
+            if (spec === '') {
+                errors.push(qualifier ? `"${item}" has no ports after the qualifier` : 'Empty entry in the port list');
+                return;
+            }
+
+            const range = this.parseRange(spec);
+            if (range) {
+                if (range.error) {
+                    errors.push(range.error);
+                } else {
+                    ranges[current].push([range.low, range.high]);
+                }
+            } else if (/^[a-zA-Z*?][\w*?.-]*$/.test(spec)) {
+                names[current]++;
+            } else {
+                errors.push(`"${spec}" is not a port, range or service name`);
+            }
+        });
+
+        return { ranges, names, errors };
+    }
+
+    /**
+     * Parse 80, 1-1024, -1024 (from 1), 60000- (to 65535) or - (all)
+     * @returns {Object|null} { low, high } or { error }; null if the text is not numeric
+     */
+    parseRange(spec) {
+        const match = spec.match(/^(\d*)(-?)(\d*)$/);
+        if (!match || (match[1] === '' && match[2] === '' && match[3] === '')) {
+            return null;
+        }
+
+        const low = match[1] === '' ? 1 : parseInt(match[1], 10);
+        const high = match[2] === '' ? low : match[3] === '' ? this.maxPort : parseInt(match[3], 10);
+        if (low > this.maxPort || high > this.maxPort) {
+            return { error: `${spec}: ports go up to ${this.maxPort}` };
+        }
+        if (low > high) {
+            return { error: `${spec}: range start is above its end` };
+        }
+        return { low, high };
+    }
+
+    /**
+     * Sort and merge overlapping or adjacent ranges
+     */
+    mergeRanges(ranges) {
+        const sorted = ranges.slice().sort((x, y) => x[0] - y[0]);
+        const merged = [];
+        sorted.forEach(([low, high]) => {
+            const last = merged[merged.length - 1];
+            if (last && low <= last[1] + 1) {
+                last[1] = Math.max(last[1], high);
+            } else {
+                merged.push([low, high]);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Pull the port options out of a list of kept arguments
+     * @returns {Object} { selection, otherArgs } where selection is null when the
+     *     arguments choose no ports
+     */
+    splitPortArgs(args) {
+        const result = { selection: null, otherArgs: [] };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '-F') {
+                result.selection = { mode: 'fast' };
+            } else if (arg === '-p-') {
+                result.selection = { mode: 'all' };
+            } else if (arg === '-p' && i + 1 < args.length) {
+                const list = args[++i];
+                result.selection = list === '-' ? { mode: 'all' } : { mode: 'list', list };
+            } else if (/^-p.+/.test(arg)) {
+                result.selection = { mode: 'list', list: arg.slice(2) };
+            } else if (arg === '--top-ports' && i + 1 < args.length) {
+                result.selection = { mode: 'top', top: args[++i] };
+            } else if (arg.startsWith('--top-ports=')) {
+                result.selection = { mode: 'top', top: arg.slice('--top-ports='.length) };
+            } else {
+                result.otherArgs.push(arg);
+            }
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortSpecBuilder;
+} else {
+    window.PortSpecBuilder = PortSpecBuilder;
+}
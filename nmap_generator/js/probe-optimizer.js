@@ -0,0 +1,243 @@
+/**
+ * Probe Optimizer - Searches combinations of discovery probes for the smallest set that
+ * finds a chosen share of a simulated subnet
+ */
+
+class ProbeOptimizer {
+    /**
+     * @param {SubnetSimulator} subnetSimulator - Decides which hosts answer each probe
+     */
+    constructor(subnetSimulator) {
+        this.subnetSimulator = subnetSimulator;
+        this.firewallEngine = subnetSimulator.firewallEngine;
+
+        // Ports tried even when no simulated host lists them, since firewalls often
+        // treat well-known ports differently
+        this.commonPorts = {
+            tcp: [22, 80, 443, 445, 3389],
+            udp: [53, 123, 161, 40125],
+            sctp: [80]
+        };
+        this.ipProtocols = [1, 2, 4, 6, 17, 132];
+
+        // Most ports per protocol to try, taking those the most hosts listen on
+        this.maxPortsPerProtocol = 25;
+
+        // Largest number of combinations checked for one set size before the search
+        // switches to picking greedily
+        this.maxCombinations = 200000;
+    }
+
+    /**
+     * Every single probe worth trying against these hosts, in order of preference
+     * @returns {Array} { option, type, port, probe }
+     */
+    candidates(hosts) {
+        const ports = {};
+        ['tcp', 'udp', 'sctp'].forEach(protocol => {
+            const counts = new Map();
+            this.commonPorts[protocol].forEach(port => counts.set(port, 0));
+            hosts.forEach(host => host.ports[protocol].forEach(port => counts.set(port, (counts.get(port) || 0) + 1)));
+            ports[protocol] = Array.from(counts.keys())
+                .sort((a, b) => counts.get(b) - counts.get(a) || a - b)
+                .slice(0, this.maxPortsPerProtocol);
+        });
+
+        const list = [['PE']];
+        ports.tcp.forEach(port => list.push(['PS', port]));
+        ports.tcp.forEach(port => list.push(['PA', port]));
+        ports.udp.forEach(port => list.push(['PU', port]));
+        ports.sctp.forEach(port => list.push(['PY', port]));
+        list.push(['PP'], ['PM']);
+        this.ipProtocols.forEach(protocol => list.push(['PO', protocol]));
+
+        return list.map(([type, port]) => this.entry(type, port));
+    }
+
+    entry(type, port) {
+        return { option: `-${type}${port || ''}`, type, port: port || null, probe: this.firewallEngine.buildProbe(type, port) };
+    }
+
+    /**
+     * Hosts a probe set finds, as a bit set with one bit per host
+     */
+    coverageBits(hosts, probes, options) {
+        const bits = new Uint32Array(Math.ceil(hosts.length / 32));
+        this.subnetSimulator.run(hosts, probes, { ignoreRst: options.ignoreRst }).results.forEach((result, index) => {
+            if (result.discovered) bits[index >>> 5] |= 1 << (index & 31);
+        });
+        return bits;
+    }
+
+    countBits(bits) {
+        let count = 0;
+        for (let i = 0; i < bits.length; i++) {
+            let value = bits[i];
+            while (value) {
+                value &= value - 1;
+                count++;
+            }
+        }
+        return count;
+    }
+
+    isSubset(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            if ((a[i] & ~b[i]) !== 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Find the smallest probe set that reaches a discovery rate. Every set size is
+     * searched exhaustively while that stays under maxCombinations; past that the
+     * remaining probes are added greedily, most new hosts first.
+     * @param {Array} hosts - From SubnetSimulator.generate() or parseHosts()
+     * @param {Object} options - { target (percent of hosts to find), ignoreRst }
+     * @returns {Object} { probes, discovered, total, coverage, packetsPerHost, reached,
+     *     exact, maxCoverage, candidateCount, defaults } where exact says the set is known
+     *     to be smallest, and defaults is { probes, discovered, coverage, packetsPerHost }
+     *     for Nmap's default probes
+     * @throws {Error} If there are no hosts or the target is outside 1-100
+     */
+    recommend(hosts, options = {}) {
+        const target = options.target === undefined ? 100 : options.target;
+        if (hosts.length === 0) {
+            throw new Error('There are no hosts to find');
+        }
+        if (!(target > 0 && target <= 100)) {
+            throw new Error('Discovery rate must be between 1 and 100%');
+        }
+        const needed = Math.ceil(hosts.length * target / 100 - 1e-9);
+
+        // Work out each candidate's hosts once, then drop any that finds nothing a
+        // candidate earlier in the list doesn't already find
+        const all = this.candidates(hosts).map((candidate, order) => {
+            const bits = this.coverageBits(hosts, [candidate], options);
+            return Object.assign(candidate, { bits, count: this.countBits(bits), order });
+        });
+        const useful = [];
+        all.slice().sort((a, b) => b.count - a.count || a.order - b.order).forEach(candidate => {
+            if (candidate.count > 0 && !useful.some(kept => this.isSubset(candidate.bits, kept.bits))) {
+                useful.push(candidate);
+            }
+        });
+
+        const union = new Uint32Array(Math.ceil(hosts.length / 32));
+        useful.forEach(candidate => candidate.bits.forEach((word, i) => { union[i] |= word; }));
+        const maxFound = this.countBits(union);
+
+        let best = null;
+        let exact = true;
+        for (let size = 1; size <= useful.length; size++) {
+            if (this.combinationCount(useful.length, size) > this.maxCombinations) {
+                exact = false;
+                break;
+            }
+            const found = this.bestOfSize(useful, size);
+            if (found.count >= Math.min(needed, maxFound)) {
+                best = found.set;
+                break;
+            }
+        }
+        if (!best) {
+            best = useful.length > 0 ? this.greedy(useful, Math.min(needed, maxFound)) : [];
+        }
+
+        // Keep the command readable: group by option, ports in ascending order
+        const types = ['PE', 'PS', 'PA', 'PU', 'PY', 'PP', 'PM', 'PO'];
+        best.sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type) || (a.port || 0) - (b.port || 0));
+        const bits = this.coverageBits(hosts, best, options);
+        const discovered = this.countBits(bits);
+
+        const defaults = this.firewallEngine.defaultProbes.map(([type, port]) => this.entry(type, port));
+        const defaultFound = this.countBits(this.coverageBits(hosts, defaults, options));
+
+        return {
+            probes: best.map(({ option, type, port }) => ({ option, type, port })),
+            discovered,
+            total: hosts.length,
+            coverage: discovered / hosts.length * 100,
+            packetsPerHost: best.length,
+            reached: discovered >= needed,
+            exact,
+            maxCoverage: maxFound / hosts.length * 100,
+            candidateCount: all.length,
+            defaults: {
+                probes: defaults.map(({ option, type, port }) => ({ option, type, port })),
+                discovered: defaultFound,
+                coverage: defaultFound / hosts.length * 100,
+                packetsPerHost: defaults.length
+            }
+        };
+    }
+
+    combinationCount(n, k) {
+        let count = 1;
+        for (let i = 0; i < k; i++) {
+            count = count * (n - i) / (i + 1);
+        }
+        return count;
+    }
+
+    /**
+     * The set of this size that finds the most hosts, preferring earlier candidates on ties
+     */
+    bestOfSize(candidates, size) {
+        const words = candidates[0].bits.length;
+        const stack = [new Uint32Array(words)];
+        const chosen = [];
+        let best = { count: -1, set: [] };
+
+        const visit = (start) => {
+            if (chosen.length === size) {
+                const count = this.countBits(stack[stack.length - 1]);
+                if (count > best.count) best = { count, set: chosen.slice() };
+                return;
+            }
+            for (let i = start; i <= candidates.length - (size - chosen.length); i++) {
+                const next = new Uint32Array(words);
+                const previous = stack[stack.length - 1];
+                for (let w = 0; w < words; w++) next[w] = previous[w] | candidates[i].bits[w];
+                chosen.push(candidates[i]);
+                stack.push(next);
+                visit(i + 1);
+                stack.pop();
+                chosen.pop();
+            }
+        };
+        visit(0);
+        return best;
+    }
+
+    greedy(candidates, needed) {
+        const set = [];
+        const covered = new Uint32Array(candidates[0].bits.length);
+        let count = 0;
+        while (count < needed) {
+            let pick = null;
+            let pickGain = 0;
+            candidates.forEach(candidate => {
+                if (set.includes(candidate)) return;
+                let gain = 0;
+                candidate.bits.forEach((word, i) => { gain += this.countBits([word & ~covered[i]]); });
+                if (gain > pickGain) {
+                    pick = candidate;
+                    pickGain = gain;
+                }
+            });
+            if (!pick) break;
+            set.push(pick);
+            pick.bits.forEach((word, i) => { covered[i] |= word; });
+            count += pickGain;
+        }
+        return set;
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProbeOptimizer;
+} else {
+    window.ProbeOptimizer = ProbeOptimizer;
+}
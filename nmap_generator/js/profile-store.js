@@ -0,0 +1,213 @@
+/**
+ * Timing Profile Store - Named custom timing profiles kept in localStorage, with JSON import and export
+ */
+
+class TimingProfileStore {
+    /**
+     * @param {Object} options - { storage (defaults to localStorage), storageKey, protocols }
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || 'nmap_timing_profiles';
+        this.protocols = options.protocols || ['tcp', 'udp', 'tcp-udp', 'sctp'];
+
+        // Marks exported files so imports can tell them apart from other JSON
+        this.format = 'nmap-timing-profiles';
+        this.version = 1;
+        this.maxNameLength = 80;
+
+        // Timing values a profile stores (see getCurrentTimingParams); the first
+        // group is required, the rest default to 0 (flag not set)
+        this.requiredKeys = [
+            'maxRttTimeoutMs', 'minRttTimeoutMs', 'initialRttTimeoutMs', 'maxRetries',
+            'maxScanDelayMs', 'parallelism'
+        ];
+        this.optionalKeys = [
+            'scanDelayMs', 'hostTimeoutMs', 'scriptTimeoutMs', 'minHostgroup', 'maxHostgroup',
+            'minParallelism', 'maxParallelism', 'minRate', 'maxRate'
+        ];
+    }
+
+    /**
+     * List saved profiles sorted by name
+     */
+    list() {
+        return this.read().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find a profile by name
+     * @returns {Object|null}
+     */
+    get(name) {
+        return this.read().find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Save a profile, replacing any profile with the same name
+     * @param {Object} profile - { name, protocol, template, params }
+     * @returns {Object} The stored profile
+     * @throws {Error} If the profile is invalid or storage is unavailable
+     */
+    save(profile) {
+        const normalized = this.normalize(profile);
+        const profiles = this.read().filter(existing => existing.name !== normalized.name);
+        profiles.push(normalized);
+        this.write(profiles);
+        return normalized;
+    }
+
+    /**
+     * Delete a profile by name
+     */
+    remove(name) {
+        this.write(this.read().filter(profile => profile.name !== name));
+    }
+
+    /**
+     * Serialize profiles for download
+     * @param {Array} names - Profiles to include (all when omitted)
+     */
+    exportJson(names) {
+        const profiles = this.list().filter(profile => !names || names.includes(profile.name));
+        return JSON.stringify({ format: this.format, version: this.version, profiles }, null, 2);
+    }
+
+    /**
+     * Import profiles from exported JSON. Accepts an export file, a bare array of
+     * profiles or a single profile. Profiles with an existing name replace it.
+     * @returns {Object} { imported, replaced, errors } where errors are messages
+     *     for profiles that were skipped
+     * @throws {Error} If the text is not JSON or holds no profiles
+     */
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error('File is not valid JSON');
+        }
+
+        let incoming;
+        if (Array.isArray(data)) {
+            incoming = data;
+        } else if (data && Array.isArray(data.profiles)) {
+            if (data.format && data.format !== this.format) {
+                throw new Error(`Unsupported file format "${data.format}"`);
+            }
+            incoming = data.profiles;
+        } else if (data && typeof data === 'object' && data.params) {
+            incoming = [data];
+        } else {
+            throw new Error('No timing profiles found in file');
+        }
+
+        const result = { imported: [], replaced: [], errors: [] };
+        const profiles = this.read();
+
+        incoming.forEach((profile, index) => {
+            let normalized;
+            try {
+                normalized = this.normalize(profile);
+            } catch (err) {
+                const label = profile && typeof profile.name === 'string' ? `"${profile.name}"` : `#${index + 1}`;
+                result.errors.push(`Profile ${label}: ${err.message}`);
+                return;
+            }
+
+            const existing = profiles.findIndex(p => p.name === normalized.name);
+            if (existing !== -1) {
+                profiles[existing] = normalized;
+                result.replaced.push(normalized.name);
+            } else {
+                profiles.push(normalized);
+                result.imported.push(normalized.name);
+            }
+        });
+
+        this.write(profiles);
+        return result;
+    }
+
+    /**
+     * Check a profile and reduce it to the stored shape
+     * @throws {Error} Describing the first problem found
+     */
+    normalize(profile) {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('not an object');
+        }
+
+        const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+        if (!name) {
+            throw new Error('missing name');
+        }
+        if (name.length > this.maxNameLength) {
+            throw new Error(`name is longer than ${this.maxNameLength} characters`);
+        }
+
+        if (!this.protocols.includes(profile.protocol)) {
+            throw new Error(`unknown protocol "${profile.protocol}"`);
+        }
+
+        const template = profile.template === undefined ? 3 : profile.template;
+        if (!Number.isInteger(template) || template < 0 || template > 5) {
+            throw new Error(`template must be 0-5, got "${profile.template}"`);
+        }
+
+        const source = profile.params || {};
+        const params = {};
+        this.requiredKeys.concat(this.optionalKeys).forEach(key => {
+            const value = source[key] === undefined && !this.requiredKeys.includes(key) ? 0 : source[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                throw new Error(`${key} must be a non-negative number`);
+            }
+            params[key] = value;
+        });
+
+        return {
+            name,
+            protocol: profile.protocol,
+            template,
+            params,
+            savedAt: typeof profile.savedAt === 'string' ? profile.savedAt : new Date().toISOString()
+        };
+    }
+
+    /**
+     * Check whether two parameter sets match on every stored key
+     */
+    paramsEqual(a, b) {
+        return this.requiredKeys.concat(this.optionalKeys).every(key => (a[key] || 0) === (b[key] || 0));
+    }
+
+    read() {
+        if (!this.storage) {
+            return [];
+        }
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            // Skip entries another version or a hand edit left without a name or values
+            return Array.isArray(saved) ? saved.filter(profile =>
+                profile && typeof profile.name === 'string' &&
+                profile.params !== null && typeof profile.params === 'object') : [];
+        } catch (err) {
+            console.error('Failed to read timing profiles:', err);
+            return [];
+        }
+    }
+
+    write(profiles) {
+        if (!this.storage) {
+            throw new Error('Browser storage is not available');
+        }
+        this.storage.setItem(this.storageKey, JSON.stringify(profiles));
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimingProfileStore;
+} else {
+    window.TimingProfileStore = TimingProfileStore;
+}
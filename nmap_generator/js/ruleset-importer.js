@@ -0,0 +1,796 @@
+/**
+ * Ruleset Importer - Translates iptables-save or nft list ruleset output into the
+ * FirewallEngine rule model, so the discovery simulator can predict which probes a
+ * real firewall lets through
+ */
+
+class RulesetImporter {
+    constructor() {
+        // Protocol numbers the engine knows by name; others are kept as numbers
+        this.protocolNumbers = {
+            icmp: 1, igmp: 2, ipencap: 4, ipip: 4, tcp: 6, udp: 17, gre: 47, esp: 50, ah: 51, sctp: 132
+        };
+        this.engineProtocols = { 1: 'icmp', 2: 'igmp', 4: 'ipip', 6: 'tcp', 17: 'udp', 132: 'sctp' };
+
+        this.icmpTypeNames = {
+            0: 'echo-reply', 3: 'destination-unreachable', 4: 'source-quench', 5: 'redirect',
+            8: 'echo-request', 9: 'router-advertisement', 10: 'router-solicitation',
+            11: 'time-exceeded', 12: 'parameter-problem', 13: 'timestamp-request',
+            14: 'timestamp-reply', 17: 'address-mask-request', 18: 'address-mask-reply'
+        };
+
+        // nft prints well-known ports by service name unless run with -nn
+        this.serviceNames = {
+            ftp: 21, ssh: 22, telnet: 23, smtp: 25, domain: 53, bootps: 67, bootpc: 68, tftp: 69,
+            http: 80, pop3: 110, sunrpc: 111, ntp: 123, 'netbios-ssn': 139, imap: 143, snmp: 161,
+            ldap: 389, https: 443, 'microsoft-ds': 445, isakmp: 500, mysql: 3306,
+            'ms-wbt-server': 3389, 'http-alt': 8080
+        };
+
+        // The only TCP flags discovery probes carry: -PS sends a lone SYN, -PA a lone ACK
+        this.tcpFlagNames = ['fin', 'syn', 'rst', 'psh', 'ack', 'urg', 'ecn', 'cwr'];
+        this.probeFlags = { syn: ['syn'], ack: ['ack'] };
+
+        // iptables targets that log or mark a packet and let it carry on down the chain
+        this.nonTerminatingTargets = ['LOG', 'NFLOG', 'ULOG', 'AUDIT', 'MARK', 'CONNMARK', 'TRACE',
+            'NOTRACK', 'CT', 'TCPMSS', 'CLASSIFY', 'DSCP', 'TOS', 'TTL', 'SET'];
+
+        // iptables targets that rewrite or hand off packets rather than filter them
+        this.unsupportedTargets = ['DNAT', 'SNAT', 'MASQUERADE', 'REDIRECT', 'NETMAP', 'QUEUE', 'NFQUEUE',
+            'TPROXY', 'TARPIT', 'SYNPROXY', 'TEE'];
+
+        // --reject-with values (with their short aliases) and nft reject codes, as the
+        // engine's reject types; nft's icmpx no-route is a network unreachable
+        this.rejectTypes = {
+            'icmp-port-unreachable': 'port-unreachable', 'port-unreach': 'port-unreachable',
+            'icmp-proto-unreachable': 'proto-unreachable', 'proto-unreach': 'proto-unreachable',
+            'icmp-net-unreachable': 'net-unreachable', 'net-unreach': 'net-unreachable',
+            'icmp-host-unreachable': 'host-unreachable', 'host-unreach': 'host-unreachable',
+            'icmp-net-prohibited': 'net-prohibited', 'net-prohib': 'net-prohibited',
+            'icmp-host-prohibited': 'host-prohibited', 'host-prohib': 'host-prohibited',
+            'icmp-admin-prohibited': 'admin-prohibited', 'admin-prohib': 'admin-prohibited',
+            'tcp-reset': 'rst', 'tcp-rst': 'rst',
+            'port-unreachable': 'port-unreachable', 'prot-unreachable': 'proto-unreachable',
+            'net-unreachable': 'net-unreachable', 'host-unreachable': 'host-unreachable',
+            'net-prohibited': 'net-prohibited', 'host-prohibited': 'host-prohibited',
+            'admin-prohibited': 'admin-prohibited', 'no-route': 'net-unreachable'
+        };
+
+        // Match modules whose options this importer reads
+        this.iptablesModules = ['tcp', 'udp', 'sctp', 'icmp', 'multiport', 'state', 'conntrack', 'comment', 'limit'];
+
+        this.maxJumpDepth = 8;
+    }
+
+    /**
+     * Guess whether text is nft or iptables-save output
+     * @returns {string|null} 'nft', 'iptables' or null
+     */
+    detectFormat(text) {
+        if (/^\s*table\s+\S+(\s+\S+)?\s*\{/m.test(text)) return 'nft';
+        if (/^\s*(\*[a-z]+|:[A-Za-z0-9_-]+\s|-A\s)/m.test(text)) return 'iptables';
+        return null;
+    }
+
+    /**
+     * Translate a ruleset into the engine's model for one hook
+     * @param {string} text - iptables-save or nft list ruleset output
+     * @param {string} hook - 'input' when the firewall is the target, 'forward' when it
+     *     routes traffic to the target
+     * @returns {Object} { format, chain, ruleset, untranslated, ignored, notes } where
+     *     ruleset is { defaultPolicy, policyLine, rules } and each rule carries the
+     *     lineNumber and source line it came from; untranslated and ignored list
+     *     { lineNumber, line, reason } for rules left out of the ruleset
+     * @throws {Error} If the format is not recognised or has no chain for the hook
+     */
+    import(text, hook = 'input') {
+        const format = this.detectFormat(text);
+        if (!format) {
+            throw new Error('Not iptables-save or nft list ruleset output');
+        }
+
+        const parsed = format === 'nft' ? this.parseNft(text) : this.parseIptables(text);
+        const base = parsed.chains.find(chain => chain.hook === hook);
+        if (!base) {
+            throw new Error(`No ${hook} chain found in the ${format === 'nft' ? 'nft' : 'iptables'} filter rules`);
+        }
+
+        const result = {
+            format,
+            chain: base.label,
+            ruleset: {
+                defaultPolicy: base.policy,
+                policyLine: base.policyLine,
+                rules: []
+            },
+            untranslated: [],
+            ignored: [],
+            notes: parsed.notes
+        };
+        this.flatten(base, { protocols: [], flags: null, icmpTypes: [], ports: '', states: [] }, 0, [base], parsed, result);
+        // A chain jumped to from several places reports its skipped lines once
+        ['untranslated', 'ignored'].forEach(key => {
+            result[key] = result[key]
+                .filter((entry, index, list) => list.findIndex(other => other.lineNumber === entry.lineNumber) === index)
+                .sort((a, b) => a.lineNumber - b.lineNumber);
+        });
+
+        if (parsed.chains.filter(chain => chain.hook === hook).length > 1) {
+            result.notes.push(`Several ${hook} chains found; only ${base.label} is simulated`);
+        }
+        return result;
+    }
+
+    /**
+     * Copy a chain's rules into result.ruleset.rules, expanding jumps inline with the
+     * jumping rule's matches added to every rule of the target chain
+     */
+    flatten(chain, conditions, depth, path, parsed, result) {
+        chain.rules.forEach((rule, index) => {
+            const entry = { lineNumber: rule.lineNumber, line: rule.source };
+            if (rule.error) {
+                result.untranslated.push(Object.assign(entry, { reason: rule.error }));
+                return;
+            }
+            if (rule.ignore) {
+                result.ignored.push(Object.assign(entry, { reason: rule.ignore }));
+                return;
+            }
+
+            const match = this.mergeMatch(conditions, rule.match);
+            if (match === null) {
+                // The jump's matches and the rule's can never hold together
+                return;
+            }
+            if (match.conflict) {
+                result.untranslated.push(Object.assign(entry, { reason: match.conflict }));
+                return;
+            }
+            rule.assumptions.forEach(assumption => {
+                result.notes.push(`Line ${rule.lineNumber}: ${assumption}`);
+            });
+
+            const verdict = rule.verdict;
+            if (verdict.type === 'jump' || verdict.type === 'goto') {
+                const target = parsed.chains.find(candidate => candidate.table === chain.table && candidate.name === verdict.target);
+                if (!target) {
+                    result.untranslated.push(Object.assign(entry, { reason: `Chain "${verdict.target}" is not in the ruleset` }));
+                } else if (path.includes(target) || depth >= this.maxJumpDepth) {
+                    result.untranslated.push(Object.assign(entry, { reason: `Jump to "${verdict.target}" loops or nests too deeply` }));
+                } else {
+                    this.flatten(target, match, depth + 1, path.concat(target), parsed, result);
+                    // A goto never comes back here: from a base chain whatever the target does not
+                    // decide falls to the policy, from a jumped-to chain it returns to that chain's caller
+                    if (verdict.type === 'goto' && depth === 0) {
+                        this.pushRules(match, path[0].policy, null, rule, result);
+                    } else if (verdict.type === 'goto' && index < chain.rules.length - 1) {
+                        result.untranslated.push(Object.assign(entry, { reason: `A goto from a jumped-to chain cannot be flattened; packets "${verdict.target}" does not decide are also checked against the rest of "${chain.name}"` }));
+                    }
+                }
+                return;
+            }
+            if (verdict.type === 'return') {
+                if (depth === 0) {
+                    this.pushRules(match, path[0].policy, null, rule, result);
+                } else if (index === chain.rules.length - 1) {
+                    result.ignored.push(Object.assign(entry, { reason: 'RETURN at the end of a chain changes nothing' }));
+                } else {
+                    result.untranslated.push(Object.assign(entry, { reason: 'RETURN from a jumped-to chain cannot be flattened; treated as not matching' }));
+                }
+                return;
+            }
+            this.pushRules(match, verdict.type === 'accept' ? 'allow' : verdict.type, verdict.reject, rule, result);
+        });
+    }
+
+    /**
+     * Add engine rules for a match, one per combination of protocol, state and ICMP type,
+     * since the engine matches a single value of each
+     */
+    pushRules(match, action, reject, rule, result) {
+        const list = (values) => values.length > 0 ? values : ['any'];
+        list(match.protocols).forEach(protocol => {
+            list(match.states).forEach(state => {
+                list(match.icmpTypes).forEach(icmpType => {
+                    result.ruleset.rules.push({
+                        action,
+                        reject: reject || 'port-unreachable',
+                        protocol,
+                        flags: match.flags || 'any',
+                        icmpType,
+                        ports: match.ports,
+                        state,
+                        comment: rule.comment || `line ${rule.lineNumber}`,
+                        lineNumber: rule.lineNumber,
+                        source: rule.source
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Combine two sets of matches. Returns null when they cannot both hold, or
+     * { conflict } when they could but the engine cannot express it.
+     */
+    mergeMatch(outer, inner) {
+        const intersect = (a, b) => {
+            if (a.length === 0) return b;
+            if (b.length === 0) return a;
+            return a.filter(value => b.includes(value));
+        };
+        const merged = {
+            protocols: intersect(outer.protocols, inner.protocols),
+            states: intersect(outer.states, inner.states),
+            icmpTypes: intersect(outer.icmpTypes, inner.icmpTypes),
+            flags: inner.flags || outer.flags,
+            ports: inner.ports || outer.ports
+        };
+        if (['protocols', 'states', 'icmpTypes'].some(key =>
+            outer[key].length > 0 && inner[key].length > 0 && merged[key].length === 0)) {
+            return null;
+        }
+        if (outer.flags && inner.flags && outer.flags !== inner.flags) {
+            return null;
+        }
+        if (outer.ports && inner.ports && outer.ports !== inner.ports) {
+            return { conflict: 'Both the jump and the rule match on ports' };
+        }
+        return merged;
+    }
+
+    newRule(lineNumber, source) {
+        return {
+            lineNumber,
+            source,
+            match: { protocols: [], flags: null, icmpTypes: [], ports: '', states: [] },
+            verdict: null,
+            comment: '',
+            assumptions: [],
+            error: null,
+            ignore: null
+        };
+    }
+
+    /**
+     * Engine protocol value for a name or number, or null if unknown
+     */
+    protocolValue(value) {
+        const text = String(value).toLowerCase();
+        const number = /^\d+$/.test(text) ? parseInt(text, 10) : this.protocolNumbers[text];
+        if (number === undefined || number > 255) {
+            return null;
+        }
+        return this.engineProtocols[number] || String(number);
+    }
+
+    /**
+     * An ICMP type as the engine's icmpType value, or null if it is not a type name or number
+     */
+    icmpTypeValue(value) {
+        const text = String(value).toLowerCase().split('/')[0];
+        if (/^\d+$/.test(text)) {
+            return this.icmpTypeNames[parseInt(text, 10)] || `type-${text}`;
+        }
+        return /^[a-z0-9-]+$/.test(text) ? text : null;
+    }
+
+    /**
+     * Which probe flags ('syn', 'ack') satisfy a flag test, as the engine's flags value:
+     * 'any' for both, 'syn' or 'ack' for one, 'none' for neither
+     */
+    flagsValue(test) {
+        const passing = Object.keys(this.probeFlags).filter(name => test(this.probeFlags[name]));
+        if (passing.length === 2) return 'any';
+        return passing[0] || 'none';
+    }
+
+    // ---------- iptables-save ----------
+
+    /**
+     * Split an iptables line into words, keeping quoted strings together
+     */
+    splitWords(line) {
+        const words = [];
+        const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            words.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+        }
+        return words;
+    }
+
+    parseIptables(text) {
+        const chains = [];
+        const notes = [];
+        const hooks = { INPUT: 'input', FORWARD: 'forward', OUTPUT: 'output' };
+        let table = 'filter';
+        let otherTableRules = 0;
+
+        const chainFor = (name) => {
+            let chain = chains.find(candidate => candidate.table === table && candidate.name === name);
+            if (!chain) {
+                chain = { table, name, label: name, hook: hooks[name] || null, policy: 'allow', policyLine: null, rules: [] };
+                chains.push(chain);
+            }
+            return chain;
+        };
+
+        text.split('\n').forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            let line = rawLine.trim();
+            if (!line || line.startsWith('#') || line === 'COMMIT') return;
+
+            if (line.startsWith('*')) {
+                table = line.slice(1).trim();
+                return;
+            }
+            if (table !== 'filter') {
+                if (line.startsWith('-A')) otherTableRules++;
+                return;
+            }
+            if (line.startsWith(':')) {
+                const [name, policy] = line.slice(1).split(/\s+/);
+                const chain = chainFor(name);
+                if (policy && policy !== '-') {
+                    chain.policy = policy === 'DROP' ? 'drop' : 'allow';
+                    chain.policyLine = { lineNumber, line };
+                }
+                return;
+            }
+
+            // Accept pasted commands as well as saved rules
+            line = line.replace(/^(sudo\s+)?iptables(-legacy|-nft)?\s+/, '').replace(/^-t\s+filter\s+/, '');
+            const words = this.splitWords(line);
+            if (words[0] !== '-A' && words[0] !== '--append') {
+                const rule = this.newRule(lineNumber, rawLine.trim());
+                rule.error = 'Only -A (append) lines are read';
+                chains.length > 0 ? chains[chains.length - 1].rules.push(rule) : chainFor('INPUT').rules.push(rule);
+                return;
+            }
+            chainFor(words[1]).rules.push(this.parseIptablesRule(words.slice(2), lineNumber, rawLine.trim()));
+        });
+
+        if (otherTableRules > 0) {
+            notes.push(`${otherTableRules} rules in the nat, mangle or raw tables were skipped; only the filter table is simulated`);
+        }
+        return { chains, notes };
+    }
+
+    parseIptablesRule(words, lineNumber, source) {
+        const rule = this.newRule(lineNumber, source);
+        const match = rule.match;
+        const fail = (reason) => {
+            rule.error = reason;
+            return rule;
+        };
+
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const value = words[i + 1];
+
+            // Options after the target belong to it
+            if (rule.verdict && word !== '--reject-with') {
+                i++;
+                continue;
+            }
+
+            switch (word) {
+                case '!':
+                    return fail('Negated matches are not simulated');
+                case '-p':
+                case '--protocol': {
+                    i++;
+                    if (value === 'all') break;
+                    if (/^(icmpv6|ipv6-icmp|58)$/.test(value)) return fail('IPv6 rules do not apply to IPv4 probes');
+                    const protocol = this.protocolValue(value);
+                    if (!protocol) return fail(`Unknown protocol "${value}"`);
+                    match.protocols = [protocol];
+                    break;
+                }
+                case '-s':
+                case '--source':
+                    return fail('Matches the source address, which depends on where you scan from');
+                case '-d':
+                case '--destination':
+                    i++;
+                    rule.assumptions.push(`assumes the probed host is in ${value}`);
+                    break;
+                case '-i':
+                case '--in-interface':
+                    i++;
+                    if (value === 'lo') {
+                        rule.ignore = 'Loopback traffic only; probes never arrive on lo';
+                        return rule;
+                    }
+                    rule.assumptions.push(`assumes probes arrive on ${value}`);
+                    break;
+                case '-o':
+                case '--out-interface':
+                    i++;
+                    break;
+                case '-f':
+                case '--fragment':
+                    return fail('Fragment matches are not simulated');
+                case '-m':
+                case '--match':
+                    i++;
+                    if (!this.iptablesModules.includes(value)) return fail(`The ${value} match module is not simulated`);
+                    if (value === 'limit') rule.assumptions.push('assumes a single probe stays under the rate limit');
+                    break;
+                case '--dport':
+                case '--destination-port':
+                case '--dports':
+                case '--destination-ports':
+                    i++;
+                    match.ports = value;
+                    break;
+                case '--sport':
+                case '--source-port':
+                case '--sports':
+                case '--source-ports':
+                    return fail('Matches the source port, which Nmap picks at random');
+                case '--syn':
+                    match.flags = this.flagsValue(flags => flags.length === 1 && flags[0] === 'syn');
+                    break;
+                case '--tcp-flags': {
+                    const expand = (list) => list.toLowerCase() === 'all' ? ['fin', 'syn', 'rst', 'psh', 'ack', 'urg'] :
+                        list.toLowerCase() === 'none' ? [] : list.toLowerCase().split(',');
+                    const mask = expand(value);
+                    const compare = expand(words[i + 2] || '');
+                    i += 2;
+                    match.flags = this.flagsValue(flags => mask.every(flag =>
+                        flags.includes(flag) === compare.includes(flag)));
+                    break;
+                }
+                case '--state':
+                case '--ctstate':
+                    i++;
+                    match.states = value.toLowerCase().split(',');
+                    break;
+                case '--icmp-type':
+                    i++;
+                    if (value !== 'any') {
+                        const icmpType = this.icmpTypeValue(value);
+                        if (!icmpType) return fail(`Unknown ICMP type "${value}"`);
+                        match.icmpTypes = [icmpType];
+                    }
+                    break;
+                case '--comment':
+                    i++;
+                    rule.comment = value;
+                    break;
+                case '--limit':
+                case '--limit-burst':
+                    i++;
+                    break;
+                case '-j':
+                case '--jump':
+                case '-g':
+                case '--goto': {
+                    i++;
+                    const isGoto = word === '-g' || word === '--goto';
+                    if (value === 'ACCEPT') rule.verdict = { type: 'accept' };
+                    else if (value === 'DROP') rule.verdict = { type: 'drop' };
+                    else if (value === 'REJECT') rule.verdict = { type: 'reject', reject: 'port-unreachable' };
+                    else if (value === 'RETURN') rule.verdict = { type: 'return' };
+                    else if (this.nonTerminatingTargets.includes(value)) {
+                        rule.ignore = `${value} does not decide the packet's fate`;
+                        return rule;
+                    } else if (this.unsupportedTargets.includes(value)) {
+                        return fail(`The ${value} target is not simulated`);
+                    } else {
+                        rule.verdict = { type: isGoto ? 'goto' : 'jump', target: value };
+                    }
+                    break;
+                }
+                case '--reject-with':
+                    i++;
+                    if (!this.rejectTypes[value]) return fail(`Unsupported reject type "${value}"`);
+                    if (rule.verdict) rule.verdict.reject = this.rejectTypes[value];
+                    break;
+                default:
+                    return fail(`Unsupported option "${word}"`);
+            }
+        }
+
+        if (!rule.verdict) {
+            rule.ignore = 'No target; the rule only counts packets';
+        }
+        return rule;
+    }
+
+    // ---------- nft list ruleset ----------
+
+    /**
+     * Split an nft rule into words, keeping quoted strings, { sets } and ( groups )
+     * together
+     */
+    splitNftWords(line) {
+        const words = [];
+        const pattern = /"((?:[^"\\]|\\.)*)"|\{[^}]*\}|\([^)]*\)|[^\s{}()"]+/g;
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            words.push(match[1] !== undefined ? match[1] : match[0]);
+        }
+        return words;
+    }
+
+    /**
+     * Values of a single nft value or { a, b } set
+     */
+    nftValues(word) {
+        if (word && word.startsWith('{')) {
+            return word.slice(1, -1).split(',').map(value => value.trim()).filter(Boolean);
+        }
+        return word ? String(word).split(',').filter(Boolean) : [];
+    }
+
+    parseNft(text) {
+        const chains = [];
+        const notes = [];
+        const skippedFamilies = new Set();
+        let table = null;
+        let chain = null;
+        let depth = 0;
+        let skipDepth = null;
+
+        text.split('\n').forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.replace(/\s+#.*$/, '').trim();
+            if (!line || line.startsWith('#')) return;
+
+            const opens = (line.match(/\{/g) || []).length;
+            const closes = (line.match(/\}/g) || []).length;
+
+            // Inside a set, map or flowtable block: only track braces
+            if (skipDepth !== null) {
+                depth += opens - closes;
+                if (depth <= skipDepth) skipDepth = null;
+                return;
+            }
+
+            let match = line.match(/^table\s+(?:(\S+)\s+)?(\S+)\s*\{$/);
+            if (match) {
+                table = { family: match[1] || 'ip', name: match[2] };
+                depth++;
+                return;
+            }
+            match = line.match(/^chain\s+(\S+)\s*\{$/);
+            if (match && table) {
+                chain = {
+                    table: `${table.family} ${table.name}`,
+                    name: match[1],
+                    label: `${table.family} ${table.name} ${match[1]}`,
+                    hook: null,
+                    policy: 'allow',
+                    policyLine: null,
+                    rules: []
+                };
+                if (['ip', 'inet'].includes(table.family)) {
+                    chains.push(chain);
+                } else {
+                    skippedFamilies.add(table.family);
+                }
+                depth++;
+                return;
+            }
+            if (/^(set|map|flowtable|counter|quota|limit|ct\s+\S+|secmark|synproxy)\s+\S+\s*\{$/.test(line)) {
+                skipDepth = depth;
+                depth += opens - closes;
+                return;
+            }
+            if (line === '}') {
+                depth--;
+                if (chain) chain = null;
+                else table = null;
+                return;
+            }
+            if (!chain) return;
+
+            // Base chain header: type filter hook input priority filter; policy drop;
+            match = line.match(/^type\s+(\S+)\s+hook\s+(\S+)/);
+            if (match) {
+                chain.hook = match[1] === 'filter' ? match[2] : null;
+                const policy = line.match(/policy\s+(accept|drop)/);
+                if (policy) {
+                    chain.policy = policy[1] === 'drop' ? 'drop' : 'allow';
+                    chain.policyLine = { lineNumber, line };
+                }
+                return;
+            }
+            if (/^policy\s+/.test(line)) {
+                chain.policy = /drop/.test(line) ? 'drop' : 'allow';
+                chain.policyLine = { lineNumber, line };
+                return;
+            }
+            chain.rules.push(this.parseNftRule(this.splitNftWords(line), lineNumber, line));
+        });
+
+        if (skippedFamilies.size > 0) {
+            notes.push(`Tables of family ${Array.from(skippedFamilies).join(', ')} were skipped; only ip and inet tables see IPv4 probes`);
+        }
+        return { chains, notes };
+    }
+
+    parseNftRule(words, lineNumber, source) {
+        const rule = this.newRule(lineNumber, source);
+        const match = rule.match;
+        const fail = (reason) => {
+            rule.error = reason;
+            return rule;
+        };
+        const verdicts = ['accept', 'drop', 'reject', 'jump', 'goto', 'return', 'continue', 'queue', 'counter', 'log', 'limit', 'comment'];
+        const statements = ['ip', 'ip6', 'meta', 'iif', 'iifname', 'oif', 'oifname', 'tcp', 'udp', 'sctp', 'th', 'icmp', 'icmpv6', 'ct'];
+        const ports = (word) => {
+            const values = this.nftValues(word).map(value => value.replace(/\s*-\s*/, '-'));
+            const numbers = values.map(value => value.split('-').map(part =>
+                /^\d+$/.test(part) ? part : this.serviceNames[part]).join('-'));
+            return numbers.some(value => value.includes('undefined')) ? null : numbers.join(',');
+        };
+
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const next = words[i + 1];
+            const value = words[i + 2];
+
+            if (value === '!=' || next === '!=') {
+                return fail('Negated matches are not simulated');
+            }
+
+            if (word === 'ip' || word === 'ip6') {
+                if (word === 'ip6') return fail('IPv6 rules do not apply to IPv4 probes');
+                if (next === 'saddr') return fail('Matches the source address, which depends on where you scan from');
+                if (next === 'daddr') {
+                    rule.assumptions.push(`assumes the probed host is in ${value}`);
+                } else if (next === 'protocol') {
+                    const protocols = this.nftValues(value).map(name => this.protocolValue(name));
+                    if (protocols.includes(null)) return fail(`Unknown protocol in "${value}"`);
+                    match.protocols = protocols;
+                } else {
+                    return fail(`The ip ${next} match is not simulated`);
+                }
+                i += 2;
+            } else if (word === 'meta' && next === 'l4proto') {
+                if (/ipv6-icmp|icmpv6/.test(value)) return fail('IPv6 rules do not apply to IPv4 probes');
+                const protocols = this.nftValues(value).map(name => this.protocolValue(name));
+                if (protocols.includes(null)) return fail(`Unknown protocol in "${value}"`);
+                match.protocols = protocols;
+                i += 2;
+            } else if (word === 'meta' && next === 'nfproto') {
+                if (value !== 'ipv4') {
+                    rule.ignore = 'Matches IPv6 only; probes are IPv4';
+                    return rule;
+                }
+                i += 2;
+            } else if (word === 'iif' || word === 'iifname' || ((word === 'meta') && (next === 'iif' || next === 'iifname'))) {
+                if (word === 'meta') i++;
+                const name = words[i + 1];
+                if (name === 'lo') {
+                    rule.ignore = 'Loopback traffic only; probes never arrive on lo';
+                    return rule;
+                }
+                rule.assumptions.push(`assumes probes arrive on ${name}`);
+                i++;
+            } else if (word === 'oif' || word === 'oifname') {
+                i++;
+            } else if (['tcp', 'udp', 'sctp', 'th'].includes(word) && next === 'dport') {
+                const list = ports(value);
+                if (list === null) return fail(`Unknown port in "${value}"`);
+                if (word !== 'th') {
+                    match.protocols = [word];
+                } else if (match.protocols.length === 0) {
+                    // th covers any transport header with ports
+                    match.protocols = ['tcp', 'udp', 'sctp'];
+                }
+                match.ports = list;
+                i += 2;
+            } else if (['tcp', 'udp', 'sctp', 'th'].includes(word) && next === 'sport') {
+                return fail('Matches the source port, which Nmap picks at random');
+            } else if (word === 'tcp' && next === 'flags') {
+                // Everything up to the next statement is the flags expression
+                let end = i + 2;
+                while (end < words.length && !verdicts.includes(words[end]) && !statements.includes(words[end])) end++;
+                const flags = this.nftTcpFlags(words.slice(i + 2, end).join(' '));
+                if (!flags) return fail(`Unsupported tcp flags expression "${words.slice(i + 2, end).join(' ')}"`);
+                match.protocols = ['tcp'];
+                match.flags = flags;
+                i = end - 1;
+            } else if (word === 'icmp' && next === 'type') {
+                match.protocols = ['icmp'];
+                match.icmpTypes = this.nftValues(value).map(type => this.icmpTypeValue(type));
+                if (match.icmpTypes.includes(null)) return fail(`Unknown ICMP type "${value}"`);
+                i += 2;
+            } else if (word === 'icmpv6') {
+                return fail('IPv6 rules do not apply to IPv4 probes');
+            } else if (word === 'ct' && next === 'state') {
+                match.states = this.nftValues(value);
+                i += 2;
+            } else if (word === 'counter') {
+                if (next === 'packets') i += 4;
+            } else if (word === 'log') {
+                while (['prefix', 'level', 'group', 'flags', 'snaplen', 'queue-threshold'].includes(words[i + 1])) i += 2;
+            } else if (word === 'limit' && next === 'rate') {
+                if (value === 'over') {
+                    rule.ignore = 'Matches only above the rate limit, which a single probe never reaches';
+                    return rule;
+                }
+                rule.assumptions.push('assumes a single probe stays under the rate limit');
+                i += 2;
+                if (words[i + 1] === 'burst') i += 3;
+            } else if (word === 'comment') {
+                rule.comment = next;
+                i++;
+            } else if (word === 'accept' || word === 'drop') {
+                rule.verdict = { type: word };
+            } else if (word === 'reject') {
+                rule.verdict = { type: 'reject', reject: 'port-unreachable' };
+                if (next === 'with') {
+                    // "tcp reset", or "icmp type host-prohibited" and its shorter form
+                    // "icmp host-prohibited" (icmpx too)
+                    const code = words[i + 3] === 'type' ? words[i + 4] : words[i + 3];
+                    if (value === 'icmpv6') return fail('IPv6 rules do not apply to IPv4 probes');
+                    if (value === 'tcp' && code === 'reset') {
+                        rule.verdict.reject = 'rst';
+                    } else if (['icmp', 'icmpx'].includes(value) && this.rejectTypes[code]) {
+                        rule.verdict.reject = this.rejectTypes[code];
+                    } else {
+                        return fail(`Unsupported reject type "${words.slice(i + 2, i + 5).join(' ')}"`);
+                    }
+                    i += words[i + 3] === 'type' ? 4 : 3;
+                }
+            } else if (word === 'jump' || word === 'goto') {
+                rule.verdict = { type: word, target: next };
+                i++;
+            } else if (word === 'return') {
+                rule.verdict = { type: 'return' };
+            } else {
+                return fail(`Unsupported expression "${word}"`);
+            }
+        }
+
+        if (!rule.verdict) {
+            rule.ignore = 'No verdict; the rule only counts or logs packets';
+        }
+        return rule;
+    }
+
+    /**
+     * Engine flags value for an nft tcp flags expression, or null if unsupported.
+     * Handles "syn", "{ syn, ack }", "== syn", "syn / syn,ack" and "& (syn|ack) == syn".
+     */
+    nftTcpFlags(expression) {
+        const names = (text) => text.replace(/[{}()]/g, '').split(/[,|\s]+/).filter(Boolean);
+        const valid = (list) => list.every(flag => this.tcpFlagNames.includes(flag));
+        let match;
+
+        if ((match = expression.match(/^(?:&\s*)?(\([^)]*\)|\S+)\s*==\s*(\S+)$/)) && expression.startsWith('&')) {
+            const mask = names(match[1]);
+            const compare = names(match[2]);
+            if (!valid(mask) || !valid(compare)) return null;
+            return this.flagsValue(flags => mask.every(flag => flags.includes(flag) === compare.includes(flag)));
+        }
+        if ((match = expression.match(/^(\S+)\s*\/\s*(\S+)$/))) {
+            const compare = names(match[1]);
+            const mask = names(match[2]);
+            if (!valid(mask) || !valid(compare)) return null;
+            return this.flagsValue(flags => mask.every(flag => flags.includes(flag) === compare.includes(flag)));
+        }
+        if ((match = expression.match(/^==\s*(.+)$/))) {
+            const compare = names(match[1]);
+            if (!valid(compare)) return null;
+            return this.flagsValue(flags => flags.length === compare.length && compare.every(flag => flags.includes(flag)));
+        }
+        // A bare flag or set tests whether any of the listed bits is set
+        const any = names(expression);
+        if (any.length === 0 || !valid(any)) return null;
+        return this.flagsValue(flags => any.some(flag => flags.includes(flag)));
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RulesetImporter;
+} else {
+    window.RulesetImporter = RulesetImporter;
+}
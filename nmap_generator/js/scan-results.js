@@ -0,0 +1,208 @@
+/**
+ * Scan Results Analyzer - Reads an nmap -oX file and recommends RTT timeouts and
+ * retries from the round-trip times and port reasons it recorded
+ */
+
+class ScanResultsAnalyzer {
+    constructor() {
+        // Nmap's rule of thumb: initial timeout about twice the slowest round trip,
+        // maximum timeout three to four times it
+        this.initialRttFactor = 2;
+        this.maxRttFactor = 4;
+
+        // Recommendations never go below these, so one fast LAN host does not
+        // produce timeouts that drop every slightly delayed reply
+        this.minInitialRttMs = 50;
+        this.minMaxRttMs = 100;
+
+        // rttvar above this share of srtt marks a jittery path that needs retries
+        this.jitterRatio = 0.5;
+
+        // Share of no-response port reasons above which most silence is filtering,
+        // which retries cannot fix
+        this.filteredRatio = 0.5;
+
+        // Port reasons that mean nothing came back
+        this.silentReasons = ['no-response', 'no-responses', 'host-unreach', 'net-unreach', 'admin-prohibited'];
+    }
+
+    /**
+     * Parse the text of an -oX file
+     * @returns {Object} { args, version, scanInfo, elapsedSeconds, exit, summary, hostsUp,
+     *     hostsDown, hostsTotal, hosts, reasons } where hosts are { address, state, reason,
+     *     times, portStates, reasons } with times in milliseconds (or null), and reasons
+     *     counts port reasons across every host
+     * @throws {Error} If the text is not Nmap XML
+     */
+    parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const root = doc.documentElement;
+        if (doc.getElementsByTagName('parsererror').length > 0 || !root || root.nodeName !== 'nmaprun') {
+            throw new Error('Not an Nmap XML file (expected an <nmaprun> document from -oX)');
+        }
+
+        const attr = (element, name) => element ? element.getAttribute(name) : null;
+        const number = (value) => value === null || value === '' ? null : Number(value);
+        const finished = root.querySelector('runstats > finished');
+        const hostStats = root.querySelector('runstats > hosts');
+
+        const results = {
+            args: attr(root, 'args') || '',
+            version: attr(root, 'version') || '',
+            scanInfo: Array.from(root.getElementsByTagName('scaninfo')).map(info => ({
+                type: attr(info, 'type'),
+                protocol: attr(info, 'protocol'),
+                numServices: number(attr(info, 'numservices'))
+            })),
+            // Interrupted scans have no <runstats>
+            elapsedSeconds: number(attr(finished, 'elapsed')),
+            exit: attr(finished, 'exit'),
+            summary: attr(finished, 'summary') || '',
+            hostsUp: number(attr(hostStats, 'up')),
+            hostsDown: number(attr(hostStats, 'down')),
+            hostsTotal: number(attr(hostStats, 'total')),
+            hosts: [],
+            reasons: {}
+        };
+
+        Array.from(root.getElementsByTagName('host')).forEach(hostElement => {
+            const status = hostElement.querySelector('status');
+            const address = hostElement.querySelector('address[addrtype="ipv4"], address[addrtype="ipv6"]') ||
+                hostElement.querySelector('address');
+            const times = hostElement.querySelector('times');
+
+            const host = {
+                address: attr(address, 'addr') || '(unknown)',
+                state: attr(status, 'state'),
+                reason: attr(status, 'reason'),
+                // <times> is in microseconds
+                times: times ? {
+                    srttMs: Number(attr(times, 'srtt')) / 1000,
+                    rttvarMs: Number(attr(times, 'rttvar')) / 1000,
+                    timeoutMs: Number(attr(times, 'to')) / 1000
+                } : null,
+                portStates: {},
+                reasons: {}
+            };
+
+            const count = (map, key, amount) => {
+                if (key) map[key] = (map[key] || 0) + amount;
+            };
+
+            hostElement.querySelectorAll('ports > port').forEach(port => {
+                const state = port.querySelector('state');
+                count(host.portStates, attr(state, 'state'), 1);
+                count(host.reasons, attr(state, 'reason'), 1);
+            });
+
+            // Ports folded into "Not shown: 995 filtered ports" keep their reasons here
+            hostElement.querySelectorAll('ports > extraports').forEach(extra => {
+                count(host.portStates, attr(extra, 'state'), number(attr(extra, 'count')) || 0);
+                extra.querySelectorAll('extrareasons').forEach(reason => {
+                    count(host.reasons, attr(reason, 'reason'), number(attr(reason, 'count')) || 0);
+                });
+            });
+
+            Object.keys(host.reasons).forEach(reason => count(results.reasons, reason, host.reasons[reason]));
+            results.hosts.push(host);
+        });
+
+        return results;
+    }
+
+    /**
+     * Summarise the measured round trips and port reasons
+     * @returns {Object|null} { hosts, medianSrttMs, maxSrttMs, maxRttvarMs, maxTimeoutMs,
+     *     jitter, silentPorts, totalPorts, silentRatio }, or null when no host has <times>
+     */
+    measure(results) {
+        const timed = results.hosts.filter(host => host.times && host.times.srttMs > 0);
+        if (timed.length === 0) {
+            return null;
+        }
+
+        const srtts = timed.map(host => host.times.srttMs).sort((a, b) => a - b);
+        const middle = Math.floor(srtts.length / 2);
+        const median = srtts.length % 2 ? srtts[middle] : (srtts[middle - 1] + srtts[middle]) / 2;
+
+        const totalPorts = Object.values(results.reasons).reduce((sum, count) => sum + count, 0);
+        const silentPorts = this.silentReasons.reduce((sum, reason) => sum + (results.reasons[reason] || 0), 0);
+
+        return {
+            hosts: timed.length,
+            medianSrttMs: median,
+            maxSrttMs: srtts[srtts.length - 1],
+            maxRttvarMs: Math.max(...timed.map(host => host.times.rttvarMs)),
+            maxTimeoutMs: Math.max(...timed.map(host => host.times.timeoutMs)),
+            // Worst rttvar relative to its own srtt
+            jitter: Math.max(...timed.map(host => host.times.rttvarMs / host.times.srttMs)),
+            silentPorts,
+            totalPorts,
+            silentRatio: totalPorts > 0 ? silentPorts / totalPorts : 0
+        };
+    }
+
+    /**
+     * Recommend timing values from the measurements
+     * @param {Object} measured - Result of measure()
+     * @param {Object} params - Configuration the values will be applied to (see getCurrentTimingParams)
+     * @returns {Object} { values, reasons } where values holds maxRttTimeoutMs,
+     *     initialRttTimeoutMs and maxRetries (plus minRttTimeoutMs when the current
+     *     minimum would sit above the new initial timeout), and reasons explains each
+     */
+    recommend(measured, params) {
+        const slowest = measured.maxSrttMs;
+        const values = {};
+        const reasons = {};
+
+        values.initialRttTimeoutMs = this.roundUp(Math.max(this.minInitialRttMs, slowest * this.initialRttFactor));
+        reasons.initialRttTimeoutMs = `About ${this.initialRttFactor}x the slowest smoothed RTT (${this.formatMs(slowest)}), ` +
+            `so the first probes to each host are not retransmitted needlessly`;
+
+        const fromSrtt = slowest * this.maxRttFactor;
+        const fromVariance = slowest + 4 * measured.maxRttvarMs;
+        values.maxRttTimeoutMs = this.roundUp(Math.max(this.minMaxRttMs, fromSrtt, fromVariance, values.initialRttTimeoutMs));
+        reasons.maxRttTimeoutMs = fromVariance > fromSrtt ?
+            `Covers the slowest RTT plus four times its variance (${this.formatMs(slowest)} + 4 x ${this.formatMs(measured.maxRttvarMs)}), since replies on this path vary a lot` :
+            `About ${this.maxRttFactor}x the slowest smoothed RTT (${this.formatMs(slowest)}), leaving room for congestion without waiting on dead probes`;
+
+        if (measured.jitter > this.jitterRatio) {
+            values.maxRetries = 6;
+            reasons.maxRetries = `RTT variance reaches ${Math.round(measured.jitter * 100)}% of the round trip, which points at an unstable path where replies get lost, so keep a generous retry budget`;
+        } else if (measured.silentRatio > this.filteredRatio) {
+            values.maxRetries = 2;
+            reasons.maxRetries = `${Math.round(measured.silentRatio * 100)}% of port reasons are no-response: that silence is filtering, which retries cannot fix, so fewer retries finish sooner`;
+        } else {
+            values.maxRetries = 3;
+            reasons.maxRetries = 'Round trips are steady and most ports answered, so a few retries cover occasional loss';
+        }
+
+        if (params && params.minRttTimeoutMs > values.initialRttTimeoutMs) {
+            values.minRttTimeoutMs = values.initialRttTimeoutMs;
+            reasons.minRttTimeoutMs = 'Lowered so it does not exceed the recommended initial timeout';
+        }
+
+        return { values, reasons };
+    }
+
+    /**
+     * Round a timeout up to 10ms below one second and to 50ms above
+     */
+    roundUp(ms) {
+        const step = ms < 1000 ? 10 : 50;
+        return Math.ceil(ms / step) * step;
+    }
+
+    formatMs(ms) {
+        if (ms >= 1000) return (ms / 1000).toFixed(2).replace(/\.?0+$/, '') + 's';
+        if (ms >= 10) return Math.round(ms) + 'ms';
+        return ms.toFixed(1).replace(/\.0$/, '') + 'ms';
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanResultsAnalyzer;
+} else {
+    window.ScanResultsAnalyzer = ScanResultsAnalyzer;
+}
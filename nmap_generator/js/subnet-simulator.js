@@ -0,0 +1,396 @@
+/**
+ * Subnet Simulator - Runs host discovery probes against a list of simulated hosts, each
+ * with its own OS reply behaviour, firewall stance and listening ports, and reports
+ * which hosts each probe set finds
+ */
+
+class SubnetSimulator {
+    /**
+     * @param {FirewallEngine} firewallEngine - Evaluates probes against each host's firewall
+     */
+    constructor(firewallEngine) {
+        this.firewallEngine = firewallEngine;
+
+        // How each kind of host answers probes that reach it. icmp lists the ICMP
+        // requests it answers; ipProtocols the IP protocols its stack handles (others get
+        // ICMP protocol unreachable when protocolUnreachable is set); hostFirewallEcho
+        // whether its own firewall lets ping in. ports are always listening; extraPorts
+        // are each listening on about half the hosts.
+        this.profiles = {
+            'windows-workstation': {
+                label: 'Windows workstation',
+                icmp: ['echo-request'],
+                udpUnreachable: true,
+                protocolUnreachable: true,
+                ipProtocols: [1, 2, 6, 17],
+                hostFirewallEcho: false,
+                stances: { host: 0.8, none: 0.2 },
+                ports: { tcp: [135, 139, 445], udp: [137, 138] },
+                extraPorts: { tcp: [3389, 5357], udp: [5353] }
+            },
+            'windows-server': {
+                label: 'Windows server',
+                icmp: ['echo-request'],
+                udpUnreachable: true,
+                protocolUnreachable: true,
+                ipProtocols: [1, 2, 6, 17],
+                hostFirewallEcho: false,
+                stances: { host: 0.6, none: 0.2, stateful: 0.2 },
+                ports: { tcp: [135, 445, 3389], udp: [137] },
+                extraPorts: { tcp: [53, 80, 88, 389, 443, 1433, 5985], udp: [53, 88, 123, 389] }
+            },
+            'linux-server': {
+                label: 'Linux server',
+                icmp: ['echo-request', 'timestamp-request'],
+                udpUnreachable: true,
+                protocolUnreachable: true,
+                ipProtocols: [1, 2, 4, 6, 17, 132],
+                hostFirewallEcho: true,
+                stances: { none: 0.4, host: 0.4, stateful: 0.2 },
+                ports: { tcp: [22], udp: [] },
+                extraPorts: { tcp: [25, 80, 443, 3306, 5432, 8080], udp: [53, 123, 161], sctp: [2905] }
+            },
+            'network-device': {
+                label: 'Router or switch',
+                icmp: ['echo-request', 'timestamp-request', 'address-mask-request'],
+                udpUnreachable: true,
+                protocolUnreachable: true,
+                ipProtocols: [1, 2, 4, 6, 17],
+                hostFirewallEcho: true,
+                stances: { none: 0.7, stateless: 0.3 },
+                ports: { tcp: [22], udp: [161] },
+                extraPorts: { tcp: [23, 80, 443], udp: [123] }
+            },
+            'printer': {
+                label: 'Printer or IoT device',
+                icmp: ['echo-request'],
+                udpUnreachable: false,
+                protocolUnreachable: false,
+                ipProtocols: [1, 6, 17],
+                hostFirewallEcho: true,
+                stances: { none: 1 },
+                ports: { tcp: [80, 9100], udp: [161] },
+                extraPorts: { tcp: [443, 515, 631], udp: [5353] }
+            }
+        };
+
+        // Firewall stances besides the FirewallEngine presets, which are also accepted
+        this.stances = {
+            none: { label: 'No firewall' },
+            host: { label: 'Host firewall (listening ports only)' }
+        };
+
+        // Share of each profile in a generated subnet
+        this.defaultMix = {
+            'windows-workstation': 0.5,
+            'windows-server': 0.1,
+            'linux-server': 0.25,
+            'network-device': 0.05,
+            'printer': 0.1
+        };
+
+        // UDP ports Nmap sends a protocol payload to, so an open service answers;
+        // an empty datagram to any other open port usually gets no reply
+        this.udpPayloadPorts = [7, 53, 111, 123, 137, 161, 177, 389, 427, 500, 520, 623, 1645, 1812, 1900, 2049, 5353, 5060];
+
+        this.maxHosts = 1024;
+    }
+
+    /**
+     * Every stance a host can have, as { value: label }
+     */
+    stanceLabels() {
+        const labels = {};
+        Object.keys(this.stances).forEach(key => {
+            labels[key] = this.stances[key].label;
+        });
+        Object.keys(this.firewallEngine.presets).forEach(key => {
+            labels[key] = this.firewallEngine.presets[key].label;
+        });
+        return labels;
+    }
+
+    /**
+     * Make a reproducible subnet of hosts
+     * @param {Object} options - { count, base ('10.0.0.'), mix ({ profile: share }), seed }
+     * @returns {Array} Hosts as { address, profile, stance, ports: { tcp, udp, sctp } }
+     * @throws {Error} If count is outside 1 to maxHosts or the mix names an unknown profile
+     */
+    generate(options = {}) {
+        const count = options.count || 20;
+        const base = options.base || '10.0.0.';
+        const mix = options.mix || this.defaultMix;
+        const random = this.createRandom(options.seed || 1);
+
+        if (!Number.isInteger(count) || count < 1 || count > this.maxHosts) {
+            throw new Error(`Host count must be between 1 and ${this.maxHosts}`);
+        }
+        Object.keys(mix).forEach(profile => {
+            if (!this.profiles[profile]) {
+                throw new Error(`Unknown host profile "${profile}"`);
+            }
+        });
+
+        const hosts = [];
+        for (let i = 0; i < count; i++) {
+            const profileName = this.pickWeighted(mix, random);
+            const profile = this.profiles[profileName];
+            const ports = {};
+            ['tcp', 'udp', 'sctp'].forEach(protocol => {
+                const extras = (profile.extraPorts[protocol] || []).filter(() => random() < 0.5);
+                ports[protocol] = (profile.ports[protocol] || []).concat(extras).sort((a, b) => a - b);
+            });
+            hosts.push({
+                address: this.addressFor(base, i + 1),
+                profile: profileName,
+                stance: this.pickWeighted(profile.stances, random),
+                ports
+            });
+        }
+        return hosts;
+    }
+
+    addressFor(base, index) {
+        // Count on from the base address, carrying into higher octets past .255
+        const octets = base.replace(/\.$/, '').split('.').map(part => parseInt(part, 10) || 0);
+        while (octets.length < 4) octets.push(0);
+        const value = octets.reduce((sum, octet) => sum * 256 + octet, 0) + index;
+        return [24, 16, 8, 0].map(shift => Math.floor(value / Math.pow(2, shift)) % 256).join('.');
+    }
+
+    pickWeighted(weights, random) {
+        const keys = Object.keys(weights);
+        const total = keys.reduce((sum, key) => sum + weights[key], 0);
+        let pick = random() * total;
+        for (const key of keys) {
+            pick -= weights[key];
+            if (pick < 0) return key;
+        }
+        return keys[keys.length - 1];
+    }
+
+    /**
+     * Write hosts one per line, in the form parseHosts() reads
+     */
+    formatHosts(hosts) {
+        return hosts.map(host => {
+            const ports = ['tcp', 'udp', 'sctp']
+                .filter(protocol => host.ports[protocol].length > 0)
+                .map(protocol => `${protocol}:${host.ports[protocol].join(',')}`);
+            return [host.address, host.profile, host.stance].concat(ports).join(' ');
+        }).join('\n');
+    }
+
+    /**
+     * Read a host list, one host per line: "<address> <profile> [stance] [tcp:ports]
+     * [udp:ports] [sctp:ports]". The stance defaults to none; # starts a comment.
+     * @returns {Object} { hosts, errors } with errors as { lineNumber, line, message }
+     */
+    parseHosts(text) {
+        const hosts = [];
+        const errors = [];
+        const stances = this.stanceLabels();
+
+        text.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) return;
+            const error = (message) => errors.push({ lineNumber: index + 1, line: rawLine.trim(), message });
+
+            const [address, profile, ...rest] = line.split(/\s+/);
+            if (!profile) {
+                return error('Expected an address and a profile');
+            }
+            if (!this.profiles[profile]) {
+                return error(`Unknown profile "${profile}"; use ${Object.keys(this.profiles).join(', ')}`);
+            }
+
+            const host = { address, profile, stance: 'none', ports: { tcp: [], udp: [], sctp: [] } };
+            for (const word of rest) {
+                const portMatch = word.match(/^(tcp|udp|sctp):(.*)$/i);
+                if (portMatch) {
+                    try {
+                        const ports = [];
+                        this.firewallEngine.parsePorts(portMatch[2]).forEach(([start, end]) => {
+                            for (let port = start; port <= end && ports.length < 1000; port++) ports.push(port);
+                        });
+                        host.ports[portMatch[1].toLowerCase()] = ports;
+                    } catch (parseError) {
+                        return error(parseError.message);
+                    }
+                } else if (stances[word]) {
+                    host.stance = word;
+                } else {
+                    return error(`"${word}" is not a stance or a tcp:/udp:/sctp: port list`);
+                }
+            }
+            hosts.push(host);
+        });
+
+        if (hosts.length > this.maxHosts) {
+            errors.push({ lineNumber: null, line: '', message: `Only the first ${this.maxHosts} hosts are simulated` });
+            hosts.length = this.maxHosts;
+        }
+        return { hosts, errors };
+    }
+
+    /**
+     * The rule set a host's firewall stance stands for
+     * @throws {Error} For an unknown stance
+     */
+    rulesetFor(host) {
+        if (host.stance === 'none') {
+            return { defaultPolicy: 'allow', rules: [] };
+        }
+        if (host.stance === 'host') {
+            // Host firewalls drop everything except listening services (and ping, if the OS allows it)
+            const rules = [];
+            if (this.profiles[host.profile].hostFirewallEcho) {
+                rules.push({ action: 'allow', protocol: 'icmp', icmpType: 'echo-request' });
+            }
+            ['tcp', 'udp', 'sctp'].forEach(protocol => {
+                if (host.ports[protocol].length > 0) {
+                    rules.push({ action: 'allow', protocol, ports: host.ports[protocol].join(','), state: 'new' });
+                }
+            });
+            return { defaultPolicy: 'drop', rules: rules.map(rule => this.firewallEngine.normalizeRule(rule)) };
+        }
+        return this.firewallEngine.loadPreset(host.stance);
+    }
+
+    /**
+     * What a host sends back to a probe that reaches it
+     * @returns {Object|null} { packet, rst } or null for no reply
+     */
+    hostReply(host, probe) {
+        const profile = this.profiles[host.profile];
+        const listening = (protocol) => host.ports[protocol].includes(probe.port);
+
+        if (probe.type === 'PO') {
+            if (!profile.ipProtocols.includes(probe.protocolNumber)) {
+                return profile.protocolUnreachable ? { packet: 'ICMP Protocol Unreachable' } : null;
+            }
+            // Nmap sends a proper header for these; others go out as bare IP packets
+            switch (probe.protocolNumber) {
+                case 1: return profile.icmp.includes('echo-request') ? { packet: 'ICMP Echo Reply' } : null;
+                case 6: return { packet: 'TCP RST', rst: true };
+                case 17: return profile.udpUnreachable ? { packet: 'ICMP Port Unreachable' } : null;
+                case 132: return { packet: 'SCTP ABORT' };
+                default: return null;
+            }
+        }
+
+        switch (probe.protocol) {
+            case 'tcp':
+                if (probe.flags === 'syn' && listening('tcp')) return { packet: 'TCP SYN/ACK' };
+                return { packet: 'TCP RST', rst: true };
+            case 'udp':
+                if (listening('udp')) {
+                    return this.udpPayloadPorts.includes(probe.port) ? { packet: 'UDP response' } : null;
+                }
+                return profile.udpUnreachable ? { packet: 'ICMP Port Unreachable' } : null;
+            case 'sctp':
+                if (!profile.ipProtocols.includes(132)) {
+                    return profile.protocolUnreachable ? { packet: 'ICMP Protocol Unreachable' } : null;
+                }
+                return { packet: listening('sctp') ? 'SCTP INIT-ACK' : 'SCTP ABORT' };
+            case 'icmp': {
+                const replies = {
+                    'echo-request': 'ICMP Echo Reply',
+                    'timestamp-request': 'ICMP Timestamp Reply',
+                    'address-mask-request': 'ICMP Address Mask Reply'
+                };
+                return profile.icmp.includes(probe.icmpType) ? { packet: replies[probe.icmpType] } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Send every probe to every host, as Nmap does, and record which hosts answer
+     * @param {Array} hosts - From generate() or parseHosts()
+     * @param {Array} probes - { option, probe } with probe from FirewallEngine.buildProbe()
+     * @param {Object} options - { ignoreRst (--discovery-ignore-rst), skipDiscovery (-Pn),
+     *     listOnly (-sL) }
+     * @returns {Object} { results, discovered, coverage, byProfile, byProbe } where
+     *     results lists { host, discovered, assumed, option, reply, from } per host, coverage
+     *     is a percentage and byProfile / byProbe give { total, discovered, coverage }
+     */
+    run(hosts, probes, options = {}) {
+        const byProbe = {};
+        probes.forEach(({ option }) => {
+            byProbe[option] = { total: hosts.length, discovered: 0 };
+        });
+
+        const results = hosts.map(host => {
+            const result = { host, discovered: false, assumed: false, option: null, reply: null, from: null };
+            if (options.listOnly) return result;
+            if (options.skipDiscovery) {
+                result.assumed = true;
+                return result;
+            }
+
+            const ruleset = this.rulesetFor(host);
+            probes.forEach(({ option, probe }) => {
+                const decision = this.firewallEngine.evaluate(probe, ruleset);
+                let reply = null;
+                let from = 'host';
+                if (decision.verdict === 'allowed') {
+                    reply = this.hostReply(host, probe);
+                } else if (decision.verdict === 'spoofed') {
+                    reply = { packet: 'TCP RST', rst: true };
+                    from = 'firewall';
+                } else if (decision.verdict === 'rejected') {
+                    // Only a port or protocol unreachable tells Nmap the host is up; the
+                    // prohibited and unreachable host codes read as it being down
+                    const rejectType = this.firewallEngine.rejectTypes[decision.reject];
+                    if (rejectType.hostUp) reply = { packet: rejectType.label };
+                    from = 'firewall';
+                }
+                // --discovery-ignore-rst discards every RST, the host's own included
+                if (!reply || (reply.rst && options.ignoreRst)) return;
+
+                byProbe[option].discovered++;
+                if (!result.discovered) {
+                    Object.assign(result, { discovered: true, option, reply: reply.packet, from });
+                }
+            });
+            return result;
+        });
+
+        const tally = (list) => {
+            const found = list.filter(result => result.discovered || result.assumed).length;
+            return { total: list.length, discovered: found, coverage: list.length > 0 ? found / list.length * 100 : 0 };
+        };
+        const byProfile = {};
+        Object.keys(this.profiles).forEach(profile => {
+            const list = results.filter(result => result.host.profile === profile);
+            if (list.length > 0) byProfile[profile] = tally(list);
+        });
+        Object.keys(byProbe).forEach(option => {
+            const entry = byProbe[option];
+            entry.coverage = entry.total > 0 ? entry.discovered / entry.total * 100 : 0;
+        });
+
+        const overall = tally(results);
+        return { results, discovered: overall.discovered, coverage: overall.coverage, byProfile, byProbe };
+    }
+
+    /**
+     * Small seeded generator so a generated subnet can be rebuilt exactly
+     */
+    createRandom(seed) {
+        let value = seed >>> 0;
+        return () => {
+            value = (value * 1664525 + 1013904223) >>> 0;
+            return value / 4294967296;
+        };
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubnetSimulator;
+} else {
+    window.SubnetSimulator = SubnetSimulator;
+}
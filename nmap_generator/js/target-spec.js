@@ -0,0 +1,388 @@
+/**
+ * Target Spec Builder - Validates Nmap target specifications (CIDR blocks, octet ranges,
+ * hostnames, IPv6, -iL and --exclude/--excludefile) and counts the hosts they cover
+ */
+
+class TargetSpecBuilder {
+    constructor() {
+        // Octet-range targets are expanded into address intervals for exclusion
+        // matching; past this many intervals the host count stops subtracting excludes
+        this.maxIntervals = 65536;
+
+        // Scopes larger than this (a /12) get a warning
+        this.largeScopeHosts = 1048576;
+    }
+
+    /**
+     * Build the target part of an nmap command
+     * @param {Object} input - { targets (whitespace-separated text), inputList (-iL file),
+     *     exclude (comma-separated hosts), excludeFile (--excludefile file) }
+     * @returns {Object} { targets, optionArgs, inputList, entries, excludes, errors, warnings,
+     *     hostCount, excludedCount, exact } where targets and optionArgs are the arguments to
+     *     add to the command, and exact is false when files or unresolvable excludes make
+     *     hostCount an estimate
+     */
+    build(input) {
+        const targets = this.splitTargets(input.targets || '');
+        const inputList = (input.inputList || '').trim();
+        const excludeFile = (input.excludeFile || '').trim();
+        // --exclude splits on commas, so octet lists (1,5,9) cannot be used there
+        const excludeSpecs = (input.exclude || '').split(/[\s,]+/).filter(Boolean);
+
+        const entries = targets.map(spec => this.parseTarget(spec));
+        const excludes = excludeSpecs.map(spec => this.parseTarget(spec));
+        const errors = [];
+        const warnings = [];
+
+        entries.forEach(entry => {
+            if (entry.error) errors.push(`${entry.spec}: ${entry.error}`);
+        });
+        excludes.forEach(entry => {
+            if (entry.error) errors.push(`--exclude ${entry.spec}: ${entry.error}`);
+        });
+
+        const valid = entries.filter(entry => !entry.error);
+        const families = new Set(valid.map(entry => entry.family));
+        if (families.size > 1) {
+            warnings.push('IPv4 and IPv6 targets cannot be scanned in one run; Nmap only scans IPv6 with -6');
+        } else if (families.has('ipv6')) {
+            warnings.push('IPv6 targets need -6 on the command line');
+        }
+
+        const optionArgs = [];
+        if (inputList) optionArgs.push('-iL', inputList);
+        if (excludeSpecs.length > 0) optionArgs.push('--exclude', excludeSpecs.join(','));
+        if (excludeFile) optionArgs.push('--excludefile', excludeFile);
+
+        const total = valid.reduce((sum, entry) => sum + entry.count, 0);
+        const exclusion = this.countExcluded(valid, excludes.filter(entry => !entry.error));
+        const hostCount = Math.max(0, total - exclusion.count);
+
+        if (hostCount > this.largeScopeHosts) {
+            warnings.push(`The scope covers ${this.formatCount(hostCount)} addresses; consider splitting it into batches`);
+        }
+        if (targets.length === 0 && !inputList) {
+            warnings.push('No targets yet; commands end with the placeholder "target"');
+        }
+
+        return {
+            targets,
+            optionArgs,
+            inputList,
+            entries,
+            excludes,
+            errors,
+            warnings,
+            hostCount,
+            excludedCount: exclusion.count,
+            exact: exclusion.exact && !inputList && !excludeFile
+        };
+    }
+
+    /**
+     * Split target text on whitespace. Commas are part of octet lists (10.0.0.1,5,9),
+     * so they do not separate targets.
+     */
+    splitTargets(text) {
+        return text.split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Classify and count one target
+     * @returns {Object} { spec, type, family, count, intervals, error } where type is
+     *     'ipv4', 'cidr', 'range', 'hostname' or 'ipv6', and intervals lists IPv4
+     *     [start, end] address pairs (null when unknown or too many)
+     */
+    parseTarget(spec) {
+        const entry = { spec, type: null, family: 'ipv4', count: 0, intervals: null, error: null };
+
+        const slash = spec.indexOf('/');
+        const base = slash === -1 ? spec : spec.slice(0, slash);
+        const prefixText = slash === -1 ? null : spec.slice(slash + 1);
+
+        if (base.includes(':')) {
+            return this.parseIpv6(entry, base, prefixText);
+        }
+
+        let prefix = null;
+        if (prefixText !== null) {
+            if (!/^\d+$/.test(prefixText) || parseInt(prefixText, 10) > 32) {
+                entry.error = `invalid prefix length "/${prefixText}" (expected 0-32)`;
+                return entry;
+            }
+            prefix = parseInt(prefixText, 10);
+        }
+
+        const parts = base.split('.');
+        const looksNumeric = /^[\d.,*-]+$/.test(base);
+
+        if (looksNumeric) {
+            if (parts.length !== 4) {
+                entry.error = 'IPv4 addresses need four octets';
+                return entry;
+            }
+
+            const octets = [];
+            for (let i = 0; i < 4; i++) {
+                const octet = this.parseOctet(parts[i]);
+                if (!octet) {
+                    entry.error = `invalid octet "${parts[i]}"`;
+                    return entry;
+                }
+                octets.push(octet);
+            }
+
+            const isRange = octets.some(ranges => ranges.length > 1 || ranges[0][0] !== ranges[0][1]);
+            if (isRange && prefix !== null) {
+                entry.error = 'a CIDR prefix cannot be combined with octet ranges';
+                return entry;
+            }
+
+            if (prefix !== null) {
+                const address = octets.reduce((value, ranges) => value * 256 + ranges[0][0], 0);
+                const size = Math.pow(2, 32 - prefix);
+                const start = Math.floor(address / size) * size;
+                entry.type = 'cidr';
+                entry.count = size;
+                entry.intervals = [[start, start + size - 1]];
+                return entry;
+            }
+
+            entry.type = isRange ? 'range' : 'ipv4';
+            entry.count = octets.reduce((product, ranges) => product * this.countRanges(ranges), 1);
+            entry.intervals = this.expandIntervals(octets);
+            return entry;
+        }
+
+        if (!this.isHostname(base)) {
+            entry.error = 'not a valid hostname or address';
+            return entry;
+        }
+
+        // Nmap resolves the name and scans the surrounding block when a prefix is given
+        entry.type = 'hostname';
+        entry.count = prefix === null ? 1 : Math.pow(2, 32 - prefix);
+        return entry;
+    }
+
+    /**
+     * Parse an IPv6 address with an optional zone and prefix
+     */
+    parseIpv6(entry, base, prefixText) {
+        entry.type = 'ipv6';
+        entry.family = 'ipv6';
+
+        const address = base.replace(/%[\w.-]+$/, '');
+        const groups = address.split(':');
+        const compressed = (address.match(/::/g) || []).length;
+        const validGroups = groups.every(group => /^[0-9a-fA-F]{0,4}$/.test(group) || /^\d+\.\d+\.\d+\.\d+$/.test(group));
+        if (compressed > 1 || !validGroups || groups.length > 8 || (compressed === 0 && groups.length !== 8 && !/\./.test(address))) {
+            entry.error = 'invalid IPv6 address';
+            return entry;
+        }
+
+        if (prefixText === null) {
+            entry.count = 1;
+            return entry;
+        }
+        if (!/^\d+$/.test(prefixText) || parseInt(prefixText, 10) > 128) {
+            entry.error = `invalid prefix length "/${prefixText}" (expected 0-128)`;
+            return entry;
+        }
+        entry.count = Math.pow(2, 128 - parseInt(prefixText, 10));
+        return entry;
+    }
+
+    /**
+     * Parse one octet of an IPv4 range: 5, 1-50, -20, 200-, * or a comma list of these
+     * @returns {Array|null} Merged [low, high] ranges, or null if invalid
+     */
+    parseOctet(text) {
+        const ranges = [];
+        for (const item of text.split(',')) {
+            let low;
+            let high;
+            if (item === '*') {
+                low = 0;
+                high = 255;
+            } else if (/^\d+$/.test(item)) {
+                low = high = parseInt(item, 10);
+            } else if (/^\d*-\d*$/.test(item) && item !== '-') {
+                const [from, to] = item.split('-');
+                low = from === '' ? 0 : parseInt(from, 10);
+                high = to === '' ? 255 : parseInt(to, 10);
+            } else {
+                return null;
+            }
+            if (low > 255 || high > 255 || low > high) {
+                return null;
+            }
+            ranges.push([low, high]);
+        }
+        return this.mergeIntervals(ranges);
+    }
+
+    countRanges(ranges) {
+        return ranges.reduce((sum, [low, high]) => sum + high - low + 1, 0);
+    }
+
+    /**
+     * Turn per-octet ranges into address intervals: every combination of the first
+     * three octets, each with the last octet's ranges
+     */
+    expandIntervals(octets) {
+        const prefixes = octets.slice(0, 3).reduce((count, ranges) => count * this.countRanges(ranges), 1);
+        if (prefixes * octets[3].length > this.maxIntervals) {
+            return null;
+        }
+
+        const values = (ranges) => {
+            const list = [];
+            ranges.forEach(([low, high]) => {
+                for (let value = low; value <= high; value++) list.push(value);
+            });
+            return list;
+        };
+
+        const intervals = [];
+        values(octets[0]).forEach(a => {
+            values(octets[1]).forEach(b => {
+                values(octets[2]).forEach(c => {
+                    const base = ((a * 256 + b) * 256 + c) * 256;
+                    octets[3].forEach(([low, high]) => intervals.push([base + low, base + high]));
+                });
+            });
+        });
+        return intervals;
+    }
+
+    /**
+     * Sort and merge overlapping or adjacent [low, high] intervals
+     */
+    mergeIntervals(intervals) {
+        const sorted = intervals.slice().sort((x, y) => x[0] - y[0]);
+        const merged = [];
+        sorted.forEach(([low, high]) => {
+            const last = merged[merged.length - 1];
+            if (last && low <= last[1] + 1) {
+                last[1] = Math.max(last[1], high);
+            } else {
+                merged.push([low, high]);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Count target addresses that the excludes remove
+     * @returns {Object} { count, exact }
+     */
+    countExcluded(targets, excludes) {
+        if (excludes.length === 0) {
+            return { count: 0, exact: true };
+        }
+
+        let exact = true;
+        const excludeIntervals = [];
+        const excludeNames = new Set();
+        excludes.forEach(entry => {
+            if (entry.type === 'hostname' && !entry.spec.includes('/')) {
+                excludeNames.add(entry.spec.toLowerCase());
+            } else if (entry.intervals) {
+                excludeIntervals.push(...entry.intervals);
+            } else {
+                exact = false;
+            }
+        });
+        const merged = this.mergeIntervals(excludeIntervals);
+
+        let count = 0;
+        targets.forEach(entry => {
+            if (entry.type === 'hostname' && !entry.spec.includes('/')) {
+                if (excludeNames.has(entry.spec.toLowerCase())) {
+                    count += 1;
+                } else if (merged.length > 0) {
+                    // The name might resolve into an excluded block
+                    exact = false;
+                }
+            } else if (entry.intervals) {
+                count += this.overlap(entry.intervals, merged);
+            } else if (merged.length > 0 || excludeNames.size > 0) {
+                exact = false;
+            }
+        });
+
+        return { count, exact };
+    }
+
+    /**
+     * Count addresses shared by target intervals and merged exclude intervals, sweeping
+     * both in address order so each exclude interval is passed only once
+     */
+    overlap(intervals, merged) {
+        const sorted = intervals.slice().sort((x, y) => x[0] - y[0]);
+        let count = 0;
+        let first = 0;
+        sorted.forEach(([low, high]) => {
+            // Exclude intervals ending before this target start end before every later one
+            while (first < merged.length && merged[first][1] < low) first++;
+            for (let i = first; i < merged.length && merged[i][0] <= high; i++) {
+                const from = Math.max(low, merged[i][0]);
+                const to = Math.min(high, merged[i][1]);
+                if (from <= to) count += to - from + 1;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Check a DNS name (RFC 1123 labels, underscores tolerated)
+     */
+    isHostname(name) {
+        if (name.length === 0 || name.length > 253) {
+            return false;
+        }
+        const labels = name.replace(/\.$/, '').split('.');
+        return labels.every(label => /^[a-zA-Z0-9_]([a-zA-Z0-9_-]{0,61}[a-zA-Z0-9_])?$/.test(label)) &&
+            !/^\d+$/.test(labels[labels.length - 1]);
+    }
+
+    /**
+     * Pull the target options out of a list of kept arguments
+     * @returns {Object} { inputList, exclude, excludeFile, otherArgs }
+     */
+    splitTargetArgs(args) {
+        const result = { inputList: '', exclude: '', excludeFile: '', otherArgs: [] };
+        const keys = { '-iL': 'inputList', '--exclude': 'exclude', '--excludefile': 'excludeFile' };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+            const flag = equals === -1 ? arg : arg.slice(0, equals);
+
+            if (keys[flag]) {
+                result[keys[flag]] = equals === -1 ? (args[++i] || '') : arg.slice(equals + 1);
+            } else {
+                result.otherArgs.push(arg);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Format a host count, switching to powers of two for IPv6-sized scopes
+     */
+    formatCount(count) {
+        if (count < 1e12) {
+            return count.toLocaleString('en-US');
+        }
+        return '2^' + Math.round(Math.log2(count));
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TargetSpecBuilder;
+} else {
+    window.TargetSpecBuilder = TargetSpecBuilder;
+}
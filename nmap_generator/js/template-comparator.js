@@ -0,0 +1,160 @@
+/**
+ * Template Comparator - Side-by-side parameter deltas and nearest-template analysis
+ */
+
+class TemplateComparator {
+    /**
+     * @param {TimingEngine} timingEngine - Supplies the templates, parameters and value formats
+     */
+    constructor(timingEngine) {
+        this.timingEngine = timingEngine;
+
+        // Parameters shown in the comparison, in the engine's command order, labelled by flag
+        this.parameters = timingEngine.parameters.map(param =>
+            Object.assign({ label: param.flag || 'Parallelism' }, param));
+
+        // Parameters every template defines, used to measure distance between configurations
+        this.distanceKeys = [
+            'maxRttTimeoutMs', 'minRttTimeoutMs', 'initialRttTimeoutMs', 'maxRetries',
+            'scanDelayMs', 'maxScanDelayMs', 'parallelism'
+        ];
+
+        // Plain-language names for overrides, used to summarise a configuration in reports
+        this.overrideGroups = [
+            { keys: ['maxRttTimeoutMs', 'minRttTimeoutMs', 'initialRttTimeoutMs'], lower: 'tighter RTT timeouts', higher: 'looser RTT timeouts', mixed: 'adjusted RTT timeouts' },
+            { keys: ['maxRetries'], lower: 'fewer retries', higher: 'more retries' },
+            { keys: ['scanDelayMs', 'maxScanDelayMs'], lower: 'shorter scan delays', higher: 'longer scan delays', mixed: 'adjusted scan delays' },
+            { keys: ['hostTimeoutMs'], lower: 'a shorter host timeout', higher: 'a longer host timeout', added: 'a host timeout', removed: 'no host timeout' },
+            { keys: ['scriptTimeoutMs'], lower: 'a shorter script timeout', higher: 'a longer script timeout', added: 'a script timeout', removed: 'no script timeout' },
+            { keys: ['minHostgroup', 'maxHostgroup'], mixed: 'custom host group sizes' },
+            { keys: ['minParallelism', 'maxParallelism'], mixed: 'parallelism limits' },
+            { keys: ['minRate', 'maxRate'], mixed: 'packet rate limits' }
+        ];
+    }
+
+    /**
+     * Compare two parameter sets
+     * @returns {Array} Rows as { key, label, a, b, delta, changed }
+     */
+    compare(a, b) {
+        return this.parameters.map(param => ({
+            key: param.key,
+            label: param.label,
+            type: param.type,
+            a: a[param.key] || 0,
+            b: b[param.key] || 0,
+            delta: (b[param.key] || 0) - (a[param.key] || 0),
+            changed: (a[param.key] || 0) !== (b[param.key] || 0)
+        }));
+    }
+
+    /**
+     * Rank templates by how close they are to a parameter set. The template
+     * needing the fewest overriding flags wins, so report summaries stay short;
+     * normalised distance breaks ties.
+     * @param {Object} params - Parameter set to place
+     * @returns {Object} { template, distance, overrideCount, ranking }
+     */
+    nearestTemplate(params) {
+        const templates = Object.keys(this.timingEngine.templates).map(key => ({
+            template: parseInt(key, 10),
+            params: this.timingEngine.templateToParams(key)
+        }));
+
+        // Times span five orders of magnitude across templates, so compare on a log scale
+        const scale = (key, value) => key === 'maxRetries' ? value : Math.log1p(value);
+        const ranges = {};
+        this.distanceKeys.forEach(key => {
+            const values = templates.map(t => scale(key, t.params[key]));
+            ranges[key] = (Math.max(...values) - Math.min(...values)) || 1;
+        });
+
+        const ranking = templates.map(t => {
+            let sum = 0;
+            this.distanceKeys.forEach(key => {
+                const diff = (scale(key, params[key] || 0) - scale(key, t.params[key])) / ranges[key];
+                sum += diff * diff;
+            });
+            return {
+                template: t.template,
+                distance: Math.sqrt(sum / this.distanceKeys.length),
+                overrideCount: this.findOverrides(params, t.params).length
+            };
+        }).sort((x, y) => (x.overrideCount - y.overrideCount) || (x.distance - y.distance));
+
+        return {
+            template: ranking[0].template,
+            distance: ranking[0].distance,
+            overrideCount: ranking[0].overrideCount,
+            ranking
+        };
+    }
+
+    /**
+     * List the flags a parameter set has to add on top of a template
+     * @returns {Array} Overrides as { key, flag, value, templateValue }
+     */
+    findOverrides(params, templateParams) {
+        return this.parameters
+            .filter(param => param.flag && (params[param.key] || 0) !== (templateParams[param.key] || 0))
+            .map(param => ({
+                key: param.key,
+                flag: param.flag,
+                type: param.type,
+                value: params[param.key] || 0,
+                templateValue: templateParams[param.key] || 0
+            }));
+    }
+
+    /**
+     * Summarise overrides in words, e.g. "tighter RTT timeouts and fewer retries"
+     */
+    describeOverrides(overrides) {
+        const phrases = [];
+        this.overrideGroups.forEach(group => {
+            const matches = overrides.filter(override => group.keys.includes(override.key));
+            if (matches.length === 0) return;
+
+            if (group.added && matches.every(m => m.templateValue === 0)) {
+                phrases.push(group.added);
+            } else if (group.removed && matches.every(m => m.value === 0)) {
+                phrases.push(group.removed);
+            } else if (group.lower && matches.every(m => m.value < m.templateValue)) {
+                phrases.push(group.lower);
+            } else if (group.higher && matches.every(m => m.value > m.templateValue)) {
+                phrases.push(group.higher);
+            } else {
+                phrases.push(group.mixed);
+            }
+        });
+
+        if (phrases.length <= 1) {
+            return phrases.join('');
+        }
+        return phrases.slice(0, -1).join(', ') + ' and ' + phrases[phrases.length - 1];
+    }
+
+    /**
+     * Format a delta with its sign, e.g. "+250ms" or "-4"
+     */
+    formatDelta(param, delta) {
+        if (delta === 0) {
+            return '=';
+        }
+        return (delta > 0 ? '+' : '-') + this.timingEngine.formatParamValue(param, Math.abs(delta));
+    }
+
+    /**
+     * Build the compact "-T<n> <overrides>" form of a configuration
+     */
+    buildOverrideArgs(template, params) {
+        return [`-T${template}`].concat(this.timingEngine.buildOverrideArgs(params, template)).join(' ');
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateComparator;
+} else {
+    window.TemplateComparator = TemplateComparator;
+}
@@ -0,0 +1,506 @@
+/**
+ * Timing Engine - Nmap timing templates, command building and metric scoring with no DOM dependency.
+ * Loaded by the timing pages and usable from Node:
+ *
+ *     const TimingEngine = require('./timing-engine.js');
+ *     const result = new TimingEngine().buildCommand({ template: 2, protocol: 'udp', overrides: { maxRetries: 4 } });
+ *     // result.granularCommand === 'nmap -sU --max-rtt-timeout 1000ms ... --max-retries 4 ... target'
+ */
+
+class TimingEngine {
+    constructor() {
+        // Values for each -T template. The *Ms fields drive the commands and metrics;
+        // the text fields are what the pages show next to each flag.
+        this.templates = {
+            0: { // Paranoid
+                name: 'Paranoid',
+                detectionLevel: 100,
+                detectionText: 'Very Stealth',
+                speed: 5,
+                speedText: 'Extremely Slow',
+                knocks: 10,
+                knocksText: '10 retries',
+                parallelism: 0,
+                parallelismText: 'Serial (1 at a time)',
+                maxRttTimeout: '5000ms',
+                maxRttTimeoutMs: 5000,
+                minRttTimeout: '5000ms',
+                minRttTimeoutMs: 5000,
+                initialRttTimeout: '5000ms',
+                initialRttTimeoutMs: 5000,
+                maxRetries: 10,
+                scanDelay: '300s (5min)',
+                scanDelayMs: 300000,
+                maxScanDelay: '300s',
+                maxScanDelayMs: 300000,
+                hostTimeout: '0 (none)',
+                hostTimeoutMs: 0,
+                scriptTimeout: '0 (none)',
+                scriptTimeoutMs: 0,
+                command: '-T0'
+            },
+            1: { // Sneaky
+                name: 'Sneaky',
+                detectionLevel: 95,
+                detectionText: 'Very Stealth',
+                speed: 8,
+                speedText: 'Very Slow',
+                knocks: 10,
+                knocksText: '10 retries',
+                parallelism: 10,
+                parallelismText: 'Very Low (~10)',
+                maxRttTimeout: '1500ms',
+                maxRttTimeoutMs: 1500,
+                minRttTimeout: '1500ms',
+                minRttTimeoutMs: 1500,
+                initialRttTimeout: '1500ms',
+                initialRttTimeoutMs: 1500,
+                maxRetries: 10,
+                scanDelay: '15s',
+                scanDelayMs: 15000,
+                maxScanDelay: '15s',
+                maxScanDelayMs: 15000,
+                hostTimeout: '0 (none)',
+                hostTimeoutMs: 0,
+                scriptTimeout: '0 (none)',
+                scriptTimeoutMs: 0,
+                command: '-T1'
+            },
+            2: { // Polite
+                name: 'Polite',
+                detectionLevel: 75,
+                detectionText: 'Stealth',
+                speed: 15,
+                speedText: 'Slow',
+                knocks: 10,
+                knocksText: '10 retries',
+                parallelism: 50,
+                parallelismText: 'Low (~50)',
+                maxRttTimeout: '1000ms',
+                maxRttTimeoutMs: 1000,
+                minRttTimeout: '400ms',
+                minRttTimeoutMs: 400,
+                initialRttTimeout: '400ms',
+                initialRttTimeoutMs: 400,
+                maxRetries: 10,
+                scanDelay: '400ms',
+                scanDelayMs: 400,
+                maxScanDelay: '400ms',
+                maxScanDelayMs: 400,
+                hostTimeout: '0 (none)',
+                hostTimeoutMs: 0,
+                scriptTimeout: '0 (none)',
+                scriptTimeoutMs: 0,
+                command: '-T2'
+            },
+            3: { // Normal
+                name: 'Normal',
+                detectionLevel: 50,
+                detectionText: 'Moderate',
+                speed: 50,
+                speedText: 'Normal',
+                knocks: 10,
+                knocksText: '10 retries',
+                parallelism: 100,
+                parallelismText: 'Dynamic (~100)',
+                maxRttTimeout: '1000ms',
+                maxRttTimeoutMs: 1000,
+                minRttTimeout: '100ms',
+                minRttTimeoutMs: 100,
+                initialRttTimeout: '500ms',
+                initialRttTimeoutMs: 500,
+                maxRetries: 10,
+                scanDelay: '0 (adaptive)',
+                scanDelayMs: 0,
+                maxScanDelay: '0 (adaptive)',
+                maxScanDelayMs: 0,
+                hostTimeout: '0 (none)',
+                hostTimeoutMs: 0,
+                scriptTimeout: '0 (none)',
+                scriptTimeoutMs: 0,
+                command: '-T3'
+            },
+            4: { // Aggressive
+                name: 'Aggressive',
+                detectionLevel: 25,
+                detectionText: 'Low Stealth',
+                speed: 85,
+                speedText: 'Fast',
+                knocks: 6,
+                knocksText: '6 retries',
+                parallelism: 200,
+                parallelismText: 'High (~200)',
+                maxRttTimeout: '1250ms',
+                maxRttTimeoutMs: 1250,
+                minRttTimeout: '100ms',
+                minRttTimeoutMs: 100,
+                initialRttTimeout: '500ms',
+                initialRttTimeoutMs: 500,
+                maxRetries: 6,
+                scanDelay: '0 (adaptive)',
+                scanDelayMs: 0,
+                maxScanDelay: '10ms',
+                maxScanDelayMs: 10,
+                hostTimeout: '0 (none)',
+                hostTimeoutMs: 0,
+                scriptTimeout: '0 (none)',
+                scriptTimeoutMs: 0,
+                command: '-T4'
+            },
+            5: { // Insane
+                name: 'Insane',
+                detectionLevel: 5,
+                detectionText: 'No Stealth',
+                speed: 100,
+                speedText: 'Maximum',
+                knocks: 2,
+                knocksText: '2 retries',
+                parallelism: 300,
+                parallelismText: 'Maximum (~300+)',
+                maxRttTimeout: '300ms',
+                maxRttTimeoutMs: 300,
+                minRttTimeout: '50ms',
+                minRttTimeoutMs: 50,
+                initialRttTimeout: '250ms',
+                initialRttTimeoutMs: 250,
+                maxRetries: 2,
+                scanDelay: '0 (adaptive)',
+                scanDelayMs: 0,
+                maxScanDelay: '5ms',
+                maxScanDelayMs: 5,
+                hostTimeout: '15m',
+                hostTimeoutMs: 900000,
+                scriptTimeout: '10m',
+                scriptTimeoutMs: 600000,
+                command: '-T5'
+            }
+        };
+
+        // Timing values a configuration is made of (see getCurrentTimingParams on the
+        // timing page), in the order the granular command lists their flags
+        this.parameters = [
+            { key: 'maxRttTimeoutMs', flag: '--max-rtt-timeout', type: 'rtt' },
+            { key: 'minRttTimeoutMs', flag: '--min-rtt-timeout', type: 'rtt' },
+            { key: 'initialRttTimeoutMs', flag: '--initial-rtt-timeout', type: 'rtt' },
+            { key: 'maxRetries', flag: '--max-retries', type: 'retries' },
+            { key: 'scanDelayMs', flag: '--scan-delay', type: 'time' },
+            { key: 'maxScanDelayMs', flag: '--max-scan-delay', type: 'time' },
+            { key: 'hostTimeoutMs', flag: '--host-timeout', type: 'time' },
+            { key: 'scriptTimeoutMs', flag: '--script-timeout', type: 'time' },
+            { key: 'minHostgroup', flag: '--min-hostgroup', type: 'count' },
+            { key: 'maxHostgroup', flag: '--max-hostgroup', type: 'count' },
+            { key: 'minParallelism', flag: '--min-parallelism', type: 'count' },
+            { key: 'maxParallelism', flag: '--max-parallelism', type: 'count' },
+            { key: 'minRate', flag: '--min-rate', type: 'count' },
+            { key: 'maxRate', flag: '--max-rate', type: 'count' },
+            // Modelled congestion-control parallelism; there is no flag for it
+            { key: 'parallelism', flag: null, type: 'count' }
+        ];
+
+        // Host group size Nmap grows SYN and UDP scans to when no --min/--max-hostgroup is given
+        this.defaultHostgroup = 256;
+
+        // Scan modes the pages offer. udp marks modes that include a UDP scan and
+        // so inherit its ICMP rate limiting.
+        this.protocols = {
+            tcp: { label: 'TCP', flag: '', udp: false },
+            udp: { label: 'UDP', flag: '-sU', udp: true },
+            'tcp-udp': { label: 'TCP+UDP', flag: '-sS -sU', udp: true },
+            sctp: { label: 'SCTP', flag: '-sY', udp: false }
+        };
+    }
+
+    /**
+     * Build the simple and granular commands and metrics for a configuration
+     * @param {Object} options - { template (0-5, default 3), protocol (a key of protocols, default 'tcp'),
+     *     overrides (timing values keyed like the parameters list), suffix (options and
+     *     targets that end the command, default 'target') }
+     * @returns {Object} { template, protocol, custom, params, simpleCommand, granularCommand, metrics }.
+     *     simpleCommand is the -T form followed by any flags that differ from the template.
+     */
+    buildCommand(options = {}) {
+        const template = options.template === undefined ? 3 : parseInt(options.template, 10);
+        if (!this.templates[template]) {
+            throw new Error(`Unknown timing template: ${options.template} (expected 0-5)`);
+        }
+
+        const protocol = options.protocol || 'tcp';
+        if (!this.protocols[protocol]) {
+            throw new Error(`Unknown protocol: ${protocol} (expected one of ${Object.keys(this.protocols).join(', ')})`);
+        }
+
+        const overrides = options.overrides || {};
+        Object.keys(overrides).forEach(key => {
+            if (!this.parameters.some(param => param.key === key)) {
+                throw new Error(`Unknown timing parameter: ${key}`);
+            }
+            if (!Number.isFinite(overrides[key]) || overrides[key] < 0) {
+                throw new Error(`Invalid value for ${key}: ${overrides[key]}`);
+            }
+        });
+
+        const suffix = options.suffix || 'target';
+        const params = Object.assign(this.templateToParams(template), overrides);
+        const custom = Object.keys(overrides).length > 0;
+        const overrideArgs = this.buildOverrideArgs(params, template);
+        const simpleSuffix = overrideArgs.length > 0 ? `${overrideArgs.join(' ')} ${suffix}` : suffix;
+
+        return {
+            template,
+            protocol,
+            custom,
+            params,
+            simpleCommand: `nmap ${this.buildSimpleArgs(template, protocol, simpleSuffix)}`,
+            granularCommand: this.buildGranularCommand(params, protocol, suffix),
+            metrics: custom ? this.calculateMetrics(params, protocol) : this.templateMetrics(template)
+        };
+    }
+
+    /**
+     * Convert a template into the normalized timing values, with every unset flag as 0
+     */
+    templateToParams(template) {
+        const data = this.templates[template];
+        return {
+            maxRttTimeoutMs: data.maxRttTimeoutMs,
+            minRttTimeoutMs: data.minRttTimeoutMs,
+            initialRttTimeoutMs: data.initialRttTimeoutMs,
+            maxRetries: data.maxRetries,
+            maxScanDelayMs: data.maxScanDelayMs,
+            parallelism: data.parallelism,
+            scanDelayMs: data.scanDelayMs,
+            hostTimeoutMs: data.hostTimeoutMs,
+            scriptTimeoutMs: data.scriptTimeoutMs,
+            minHostgroup: 0,
+            maxHostgroup: 0,
+            minParallelism: 0,
+            maxParallelism: 0,
+            minRate: 0,
+            maxRate: 0
+        };
+    }
+
+    /**
+     * The parallelism congestion control settles on, bounded by --min/--max-parallelism
+     */
+    effectiveParallelism(params) {
+        let parallelism = params.parallelism;
+        if (params.minParallelism > 0) parallelism = Math.max(parallelism, params.minParallelism);
+        if (params.maxParallelism > 0) parallelism = Math.min(parallelism, params.maxParallelism);
+        return parallelism;
+    }
+
+    /**
+     * Hosts scanned together, bounded by --min/--max-hostgroup and the number of targets
+     */
+    effectiveHostgroup(params, hosts) {
+        let hostgroup = Math.max(this.defaultHostgroup, params.minHostgroup || 0);
+        if (params.maxHostgroup > 0) {
+            hostgroup = Math.min(hostgroup, params.maxHostgroup);
+        }
+        return Math.max(1, Math.min(hosts, hostgroup));
+    }
+
+    /**
+     * Get the scan type flags for a protocol ('' for the default TCP scan)
+     */
+    getProtocolFlag(protocol) {
+        return this.protocols[protocol] ? this.protocols[protocol].flag : '';
+    }
+
+    /**
+     * Check whether a protocol mode includes a UDP scan
+     */
+    includesUdp(protocol) {
+        return Boolean(this.protocols[protocol] && this.protocols[protocol].udp);
+    }
+
+    /**
+     * Build the arguments of the simple form, e.g. "-T3 -sU target"
+     */
+    buildSimpleArgs(template, protocol, suffix = 'target') {
+        const protocolFlag = this.getProtocolFlag(protocol);
+        const data = this.templates[template];
+        return protocolFlag ? `${data.command} ${protocolFlag} ${suffix}` : `${data.command} ${suffix}`;
+    }
+
+    /**
+     * Build the command that spells out every timing flag instead of using -T.
+     * RTT timeouts and retries are always given; other flags only when set.
+     */
+    buildGranularCommand(params, protocol, suffix = 'target') {
+        let cmd = 'nmap';
+
+        const protocolFlag = this.getProtocolFlag(protocol);
+        if (protocolFlag) {
+            cmd += ` ${protocolFlag}`;
+        }
+
+        this.parameters.forEach(param => {
+            const value = params[param.key] || 0;
+            if (!param.flag) return;
+
+            if (param.type === 'rtt' || param.type === 'retries' || value > 0) {
+                cmd += ` ${param.flag} ${this.formatParamValue(param, value)}`;
+            }
+        });
+
+        cmd += ` ${suffix}`;
+
+        return cmd;
+    }
+
+    /**
+     * List the flags (as "--flag value" strings) needed on top of a template
+     * to reach the given timing values
+     */
+    buildOverrideArgs(params, template) {
+        const templateParams = this.templateToParams(template);
+        return this.parameters
+            .filter(param => param.flag && (params[param.key] || 0) !== (templateParams[param.key] || 0))
+            .map(param => `${param.flag} ${this.formatParamValue(param, params[param.key] || 0)}`);
+    }
+
+    /**
+     * Format a value the way its flag is written in commands
+     */
+    formatParamValue(param, value) {
+        if (param.type === 'rtt') return value + 'ms';
+        if (param.type === 'time') return this.formatTimingValue(value);
+        return String(value);
+    }
+
+    /**
+     * Format milliseconds as an Nmap time value (0 stays '0')
+     */
+    formatTimingValue(ms) {
+        if (ms === 0) return '0';
+        if (ms % 3600000 === 0) return (ms / 3600000) + 'h';
+        if (ms % 60000 === 0) return (ms / 60000) + 'm';
+        if (ms % 1000 === 0) return (ms / 1000) + 's';
+        return ms + 'ms';
+    }
+
+    /**
+     * The fixed metrics a template shows in the dashboard
+     */
+    templateMetrics(template) {
+        const data = this.templates[template];
+        return {
+            detectionLevel: data.detectionLevel,
+            detectionText: data.detectionText,
+            speed: data.speed,
+            speedText: data.speedText,
+            knocks: data.knocks,
+            knocksText: data.knocksText,
+            parallelism: data.parallelism,
+            parallelismText: data.parallelismText
+        };
+    }
+
+    /**
+     * Score stealth and speed for a custom configuration
+     * @param {Object} params - Timing values (see templateToParams)
+     * @param {string} protocol - A key of protocols
+     * @returns {Object} Same shape as templateMetrics()
+     */
+    calculateMetrics(params, protocol) {
+        const maxRtt = params.maxRttTimeoutMs;
+        const retries = params.maxRetries;
+        const maxScanDelay = params.maxScanDelayMs;
+        const scanDelay = params.scanDelayMs || 0;
+        const minHostgroup = params.minHostgroup || 0;
+        const minRate = params.minRate || 0;
+        const maxRate = params.maxRate || 0;
+
+        const parallelism = this.effectiveParallelism(params);
+
+        // Calculate detection level (stealth) - lower timeouts, higher delays = more stealth
+        let detectionLevel = 50; // base
+        if (maxRtt > 4000) detectionLevel += 30;
+        else if (maxRtt > 2000) detectionLevel += 20;
+        else if (maxRtt > 1000) detectionLevel += 10;
+
+        if (maxScanDelay > 100000) detectionLevel += 20;
+        else if (maxScanDelay > 10000) detectionLevel += 15;
+        else if (maxScanDelay > 0) detectionLevel += 5;
+
+        if (scanDelay > 10000) detectionLevel += 15;
+        else if (scanDelay > 0) detectionLevel += 5;
+
+        if (parallelism === 0) detectionLevel += 20;
+        else if (parallelism < 50) detectionLevel += 10;
+        else if (parallelism > 200) detectionLevel -= 15;
+
+        if (maxRate > 0 && maxRate <= 100) detectionLevel += 10;
+        if (minRate > 1000) detectionLevel -= 15;
+
+        detectionLevel = Math.max(0, Math.min(100, detectionLevel));
+
+        // Calculate speed - lower timeouts, lower delays, higher parallelism = faster
+        let speed = 50; // base
+        if (maxRtt < 500) speed += 30;
+        else if (maxRtt < 1000) speed += 15;
+        else if (maxRtt > 2000) speed -= 20;
+
+        if (maxScanDelay === 0) speed += 15;
+        else if (maxScanDelay < 100) speed += 10;
+        else if (maxScanDelay > 10000) speed -= 30;
+
+        if (parallelism === 0) speed -= 30;
+        else if (parallelism > 200) speed += 20;
+        else if (parallelism > 100) speed += 10;
+
+        if (retries < 5) speed += 10;
+        else if (retries > 8) speed -= 5;
+
+        if (scanDelay > 10000) speed -= 30;
+        else if (scanDelay > 0) speed -= 10;
+
+        if (maxRate > 0 && maxRate <= 100) speed -= 20;
+        if (minRate > 1000) speed += 15;
+
+        // Larger host groups help most for UDP, where each host adds its own ICMP budget
+        if (minHostgroup >= 64) speed += this.includesUdp(protocol) ? 15 : 5;
+
+        speed = Math.max(0, Math.min(100, speed));
+
+        let detectionText = 'Moderate';
+        if (detectionLevel > 70) detectionText = 'Very Stealth';
+        else if (detectionLevel > 50) detectionText = 'Stealth';
+        else if (detectionLevel > 30) detectionText = 'Low Stealth';
+        else detectionText = 'No Stealth';
+
+        let speedText = 'Normal';
+        if (speed > 85) speedText = 'Maximum';
+        else if (speed > 70) speedText = 'Fast';
+        else if (speed < 20) speedText = 'Extremely Slow';
+        else if (speed < 35) speedText = 'Very Slow';
+        else if (speed < 50) speedText = 'Slow';
+
+        const parallelismText = parallelism === 0 ? 'Serial (1 at a time)' :
+                               parallelism < 50 ? 'Very Low (~' + parallelism + ')' :
+                               parallelism < 100 ? 'Low (~' + parallelism + ')' :
+                               parallelism < 200 ? 'Dynamic (~' + parallelism + ')' :
+                               parallelism < 250 ? 'High (~' + parallelism + ')' :
+                               'Maximum (~' + parallelism + '+)';
+
+        return {
+            detectionLevel,
+            detectionText,
+            speed,
+            speedText,
+            knocks: retries,
+            knocksText: retries + ' retries',
+            parallelism,
+            parallelismText
+        };
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimingEngine;
+} else {
+    window.TimingEngine = TimingEngine;
+}
@@ -0,0 +1,151 @@
+/**
+ * Timing Validator - Rule-based checks for conflicting or risky timing parameter combinations
+ */
+
+class TimingValidator {
+    constructor() {
+        // Each rule lists the parameters it concerns so the page can show the
+        // message next to the matching slider. 'error' rules describe
+        // combinations Nmap refuses to run; 'warning' rules are legal but risky.
+        // Protocol modes that include a UDP scan
+        this.udpProtocols = ['udp', 'tcp-udp'];
+
+        this.rules = [
+            {
+                id: 'rtt-min-above-max',
+                severity: 'error',
+                fields: ['minRttTimeoutMs', 'maxRttTimeoutMs'],
+                check: (p) => p.minRttTimeoutMs > p.maxRttTimeoutMs ?
+                    `--min-rtt-timeout (${p.minRttTimeoutMs}ms) is greater than --max-rtt-timeout (${p.maxRttTimeoutMs}ms)` : null
+            },
+            {
+                id: 'initial-rtt-outside-window',
+                severity: 'error',
+                fields: ['initialRttTimeoutMs'],
+                check: (p) => p.minRttTimeoutMs <= p.maxRttTimeoutMs &&
+                    (p.initialRttTimeoutMs < p.minRttTimeoutMs || p.initialRttTimeoutMs > p.maxRttTimeoutMs) ?
+                    `--initial-rtt-timeout (${p.initialRttTimeoutMs}ms) must be between --min-rtt-timeout (${p.minRttTimeoutMs}ms) and --max-rtt-timeout (${p.maxRttTimeoutMs}ms)` : null
+            },
+            {
+                id: 'scan-delay-above-max',
+                severity: 'error',
+                fields: ['scanDelayMs', 'maxScanDelayMs'],
+                check: (p) => p.maxScanDelayMs > 0 && p.scanDelayMs > p.maxScanDelayMs ?
+                    `--scan-delay (${p.scanDelayMs}ms) is greater than --max-scan-delay (${p.maxScanDelayMs}ms)` : null
+            },
+            {
+                id: 'min-rate-above-max',
+                severity: 'error',
+                fields: ['minRate', 'maxRate'],
+                check: (p) => p.minRate > 0 && p.maxRate > 0 && p.minRate > p.maxRate ?
+                    `--min-rate (${p.minRate}) must be less than or equal to --max-rate (${p.maxRate})` : null
+            },
+            {
+                id: 'min-parallelism-above-max',
+                severity: 'error',
+                fields: ['minParallelism', 'maxParallelism'],
+                check: (p) => p.minParallelism > 0 && p.maxParallelism > 0 && p.minParallelism > p.maxParallelism ?
+                    `--min-parallelism (${p.minParallelism}) must be less than or equal to --max-parallelism (${p.maxParallelism})` : null
+            },
+            {
+                id: 'min-hostgroup-above-max',
+                severity: 'error',
+                fields: ['minHostgroup', 'maxHostgroup'],
+                check: (p) => p.minHostgroup > 0 && p.maxHostgroup > 0 && p.minHostgroup > p.maxHostgroup ?
+                    `--min-hostgroup (${p.minHostgroup}) must be less than or equal to --max-hostgroup (${p.maxHostgroup})` : null
+            },
+            {
+                id: 'udp-no-retries',
+                severity: 'warning',
+                fields: ['maxRetries'],
+                check: (p, context) => this.udpProtocols.includes(context.protocol) && p.maxRetries === 0 ?
+                    'UDP with 0 retries cannot tell open|filtered ports from dropped probes; expect many false open|filtered results' : null
+            },
+            {
+                id: 'udp-high-parallelism',
+                severity: 'warning',
+                fields: ['parallelism', 'minParallelism'],
+                check: (p, context) => this.udpProtocols.includes(context.protocol) && Math.max(p.parallelism, p.minParallelism) > 100 ?
+                    'More than 100 concurrent UDP probes mostly hits ICMP rate limits; raise --min-hostgroup instead' : null
+            },
+            {
+                id: 'udp-high-min-rate',
+                severity: 'warning',
+                fields: ['minRate'],
+                check: (p, context) => this.udpProtocols.includes(context.protocol) && p.minRate > 1000 ?
+                    `--min-rate ${p.minRate} forces UDP probes faster than rate-limited hosts can answer, so closed ports show as open|filtered` : null
+            },
+            {
+                id: 'max-rtt-below-link',
+                severity: 'warning',
+                fields: ['maxRttTimeoutMs'],
+                check: (p, context) => context.linkRttMs > 0 && p.maxRttTimeoutMs < context.linkRttMs * 2 ?
+                    `--max-rtt-timeout ${p.maxRttTimeoutMs}ms leaves little room over the ${context.linkRttMs}ms link RTT; replies will arrive after Nmap gives up${context.template === 5 && !context.custom ? ' (T5 is meant for fast, reliable networks)' : ''}` : null
+            },
+            {
+                id: 'initial-rtt-below-link',
+                severity: 'warning',
+                fields: ['initialRttTimeoutMs'],
+                check: (p, context) => context.linkRttMs > 0 && p.initialRttTimeoutMs < context.linkRttMs ?
+                    `--initial-rtt-timeout ${p.initialRttTimeoutMs}ms is below the ${context.linkRttMs}ms link RTT; the first probes will all be retransmitted` : null
+            },
+            {
+                id: 'tcp-udp-host-timeout',
+                severity: 'warning',
+                fields: ['hostTimeoutMs'],
+                check: (p, context) => context.protocol === 'tcp-udp' && p.hostTimeoutMs > 0 && p.hostTimeoutMs <= 900000 ?
+                    `--host-timeout covers both the TCP and UDP phases; hosts still in the UDP phase after ${Math.round(p.hostTimeoutMs / 60000) || '<1'} min are abandoned with incomplete results` : null
+            },
+            {
+                id: 'sctp-few-retries',
+                severity: 'warning',
+                fields: ['maxRetries'],
+                check: (p, context) => context.protocol === 'sctp' && p.maxRetries < 2 ?
+                    'Many firewalls silently drop SCTP; with fewer than 2 retries a lost INIT is reported as filtered' : null
+            },
+            {
+                id: 'host-timeout-short',
+                severity: 'warning',
+                fields: ['hostTimeoutMs'],
+                check: (p) => p.hostTimeoutMs > 0 && p.hostTimeoutMs < p.maxRttTimeoutMs * (p.maxRetries + 1) ?
+                    '--host-timeout is shorter than a single port can take with the current RTT timeout and retries; every host will be skipped' : null
+            }
+        ];
+    }
+
+    /**
+     * Run every rule against a parameter set
+     * @param {Object} params - Timing values (see getCurrentTimingParams)
+     * @param {Object} context - { protocol, template, custom, linkRttMs }
+     * @returns {Array} Issues as { id, severity, fields, message }
+     */
+    validate(params, context = {}) {
+        const issues = [];
+        this.rules.forEach(rule => {
+            const message = rule.check(params, context);
+            if (message) {
+                issues.push({
+                    id: rule.id,
+                    severity: rule.severity,
+                    fields: rule.fields,
+                    message
+                });
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Check whether any issue would stop Nmap from running
+     */
+    hasErrors(issues) {
+        return issues.some(issue => issue.severity === 'error');
+    }
+}
+
+// Export for use in other modules (and from Node via require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimingValidator;
+} else {
+    window.TimingValidator = TimingValidator;
+}
@@ -0,0 +1,312 @@
+/**
+ * English strings. This is the reference bundle: other locales translate these keys,
+ * and any key they leave out falls back to the English text here.
+ */
+
+LocaleControl.register('en', {
+    // Navigation bar
+    'nav.timing': 'Timing',
+    'nav.hostDiscovery': 'Host Discovery',
+    'nav.scripting': 'Scripting and Automation',
+    'nav.evasion': 'Evasion and Firewall Bypassing',
+
+    // Timing page: UDP scans
+    'timing.udp.templateDescription': `
+        <p>Nmap's timing templates (0-5) provide a simple way to control scan aggressiveness for UDP scanning. UDP presents unique challenges that make it fundamentally slower than TCP scanning.</p>
+
+        <div class="icmp-definition">
+            <strong>ICMP Rate Limiting (Critical for UDP):</strong> When a UDP port is closed, the target typically responds with an <strong>ICMP Port Unreachable</strong> message (Type 3, Code 3). However, Linux kernels (and many other systems) implement <strong>kernel rate limiting</strong> that restricts these ICMP error messages to approximately <strong>1 per second per host</strong>. This is the single greatest inhibitor of UDP scanning speed—a 65,536-port scan against a single rate-limited host would take over 18 hours. Understanding this limitation is essential for effective UDP scanning.
+        </div>
+
+        <p><strong>Template Quick Reference:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Template</th>
+                    <th>Primary Goal</th>
+                    <th>UDP Delay</th>
+                    <th>Max Retries</th>
+                    <th>Use Case</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>Maximum stealth</td>
+                    <td>5 min</td>
+                    <td>10</td>
+                    <td>IDS evasion, extremely slow</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>High stealth</td>
+                    <td>15 sec</td>
+                    <td>10</td>
+                    <td>IDS evasion, very slow</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>Reduce target load</td>
+                    <td>400ms</td>
+                    <td>10</td>
+                    <td>Bandwidth conservation, 10x slower</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Balance/Adaptive</td>
+                    <td>1 sec (adaptive)</td>
+                    <td>10</td>
+                    <td>Recommended for UDP due to rate limiting</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>Speed (with limits)</td>
+                    <td>1 sec max</td>
+                    <td>6</td>
+                    <td>Faster, but still limited by ICMP rate</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>Maximum speed</td>
+                    <td>1 sec max</td>
+                    <td>2</td>
+                    <td>Fastest, but 10-100x slower than TCP</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Detailed Template Breakdown:</strong> <strong>Paranoid (T0)</strong> and <strong>Sneaky (T1)</strong> serialize scans and add long delays (5 minutes to 15 seconds between probes) to evade IDS detection—ideal for stealth but extremely slow. <strong>Polite (T2)</strong> adds 400ms delays to reduce bandwidth and target load, but UDP scans can take 10x longer than TCP. <strong>Normal (T3)</strong> is the balanced default with adaptive timing—often recommended for UDP due to rate limiting. <strong>Aggressive (T4)</strong> caps UDP scan delays at 1 second (unlike TCP's 10ms) and reduces retries to 6, but UDP scans are still much slower than TCP due to ICMP rate limiting. <strong>Insane (T5)</strong> minimizes timeouts (300ms max RTT, 1 second UDP delay, only 2 retries) but UDP scans remain 10-100x slower than TCP. Templates can be combined with fine-grained controls; granular options override template defaults for specific parameters.</p>
+    `,
+    'timing.udp.fineGrained': `
+        <strong>Fine-Grained Timing Controls for UDP:</strong> UDP scanning requires fundamentally different strategies than TCP. Each control parameter has unique implications for UDP:
+
+        <ul>
+            <li><strong>Hostgroup Size</strong> (<code>--min-hostgroup</code>, <code>--max-hostgroup</code>)
+                <ul>
+                    <li><strong>Educational Value:</strong> This is the most critical parameter for UDP. Scanning N hosts simultaneously allows the scanner to receive up to N ICMP errors per second (one from each host), effectively bypassing the single-host 1/second kernel limit on the target side. For example, scanning 100 hosts allows receiving 100 ICMP errors/second instead of just 1/second from a single host—a 100x improvement in throughput.</li>
+                </ul>
+            </li>
+
+            <li><strong>Parallelism</strong> (<code>--min-parallelism</code>, <code>--max-parallelism</code>)
+                <ul>
+                    <li>Must be balanced carefully for UDP—too high overwhelms rate-limited targets, but UDP benefits from moderate parallelism (50-100). Unlike TCP which can handle 200-300+ concurrent probes, UDP requires more conservative parallelism to avoid triggering ICMP rate limits.</li>
+                </ul>
+            </li>
+
+            <li><strong>Probe Timeouts</strong> (<code>--min-rtt-timeout</code>, <code>--max-rtt-timeout</code>, <code>--initial-rtt-timeout</code>)
+                <ul>
+                    <li>Less effective for UDP than TCP due to the <strong>open|filtered ambiguity problem</strong>: An <strong>open</strong> UDP port often returns no reply (the service receives the packet but doesn't respond to invalid probes), just like a <strong>filtered</strong> port drops the probe. This ambiguity is what makes retries and longer timeouts essential for UDP—they help distinguish between truly open ports and filtered ones.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retransmissions</strong> (<code>--max-retries</code>)
+                <ul>
+                    <li>Essential for UDP—more retries help distinguish open from filtered ports (addressing the open|filtered ambiguity), but dramatically increase scan time due to rate limiting. For UDP, consider higher retries (8-10) to improve accuracy, but expect much longer scan times.</li>
+                </ul>
+            </li>
+
+            <li><strong>Scan Delays</strong> (<code>--scan-delay</code>, <code>--max-scan-delay</code>)
+                <ul>
+                    <li>Critical for UDP—Linux kernels limit ICMP port unreachable messages to 1/second, making delays necessary to avoid overwhelming targets. Maximum UDP scan delay is typically 1 second (vs TCP's 5ms minimum). Even with T4/T5, UDP delays remain at 1 second due to rate limiting constraints.</li>
+                </ul>
+            </li>
+
+            <li><strong>Rate Limiting</strong> (<code>--min-rate</code>, <code>--max-rate</code>)
+                <ul>
+                    <li>Should be used cautiously with UDP to avoid triggering ICMP rate limits. Setting too high a rate will result in dropped probes and wasted time.</li>
+                </ul>
+            </li>
+
+            <li><strong>Host Timeout</strong> (<code>--host-timeout</code>)
+                <ul>
+                    <li>Highly recommended for UDP—use <code>15m</code> to skip slow rate-limited hosts. This allows scanning all responsive hosts quickly while working on slow hosts in the background.</li>
+                </ul>
+            </li>
+        </ul>
+
+        <p>Nmap's adaptive algorithms help, but UDP scans will always be significantly slower than TCP due to protocol limitations and ICMP rate limiting.</p>
+    `,
+    'timing.udp.maxScanDelay': `Maximum delay between UDP probes. Critical for UDP scanning—Linux kernels limit ICMP port unreachable messages to 1/second, making delays necessary. Set to 0 for adaptive behavior (T3-T5). T0-T2 use delays of 5min-400ms for stealth. T4-T5 cap UDP delays at 1 second (unlike TCP's 10ms/5ms). Higher delays avoid overwhelming rate-limited targets but slow scans dramatically. UDP scans typically require longer delays than TCP.`,
+    'timing.udp.maxRetries': `Maximum UDP probe retransmissions before giving up. More critical for UDP than TCP—helps distinguish open from filtered ports (open|filtered ambiguity). Higher values improve accuracy but dramatically increase scan time due to rate limiting. T0-T3 use 10 retries, T4 uses 6, T5 uses 2. For UDP, consider higher retries (8-10) to improve accuracy, but expect much longer scan times.`,
+    'timing.udp.parallelism': `Number of concurrent UDP probes sent simultaneously. Must be balanced carefully for UDP—too high overwhelms rate-limited targets (Linux limits ICMP errors to 1/second per host). 0 = serial (one at a time, T0-T2 behavior). T3-T5 use dynamic parallelism (typically 100-300+). For UDP, moderate parallelism (50-100) often works better than maximum to avoid triggering rate limits. Consider using --min-hostgroup instead to scan multiple hosts simultaneously.`,
+
+    // Timing page: Combined TCP and UDP scans
+    'timing.tcp-udp.templateDescription': `
+        <p>Combined scans (<code>-sS -sU</code>) run a TCP SYN scan and then a UDP scan against each host group in a single Nmap run. The template and every fine-grained flag apply to both phases—there is no way to give the UDP phase its own retries or delays—so the timing has to suit the slower UDP phase without wasting the fast TCP one. Both scan types need root privileges.</p>
+
+        <div class="icmp-definition">
+            <strong>Where the time goes:</strong> The TCP phase of a 1,000-port scan usually finishes in seconds per host group. The UDP phase is held back by <strong>ICMP rate limiting</strong> (about 1 port unreachable per second per host on Linux), so it typically accounts for 90% or more of the runtime. Results for a host group are only reported once both phases finish.
+        </div>
+
+        <p><strong>Template Quick Reference:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Template</th>
+                    <th>TCP Phase</th>
+                    <th>UDP Phase</th>
+                    <th>Max Retries</th>
+                    <th>Caveat</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>5 min between probes</td>
+                    <td>5 min between probes</td>
+                    <td>10</td>
+                    <td>Only workable for a handful of ports</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>15 sec between probes</td>
+                    <td>15 sec between probes</td>
+                    <td>10</td>
+                    <td>Hours per host with default port lists</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>400ms between probes</td>
+                    <td>400ms, then ICMP-limited</td>
+                    <td>10</td>
+                    <td>Delay mostly slows the TCP phase</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Adaptive</td>
+                    <td>Adaptive, backs off to 1 sec</td>
+                    <td>10</td>
+                    <td>Recommended starting point</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>10ms max delay</td>
+                    <td>1 sec max delay</td>
+                    <td>6</td>
+                    <td>Pair with --min-hostgroup for large ranges</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>5ms max delay</td>
+                    <td>1 sec max delay</td>
+                    <td>2</td>
+                    <td>2 retries and a 15m host timeout cut the UDP phase short</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Choosing a template:</strong> Start from <strong>Normal (T3)</strong> or <strong>Aggressive (T4)</strong>; both let Nmap run the TCP phase at full speed and back off only in the UDP phase. <strong>Insane (T5)</strong> is a poor fit: two retries turn dropped UDP probes into false open|filtered results, and its 15 minute host timeout covers both phases, so slow UDP hosts are abandoned with incomplete results. Scanning fewer UDP ports (<code>-p T:1-1000,U:53,161,500</code>) saves far more time than any timing flag.</p>
+    `,
+    'timing.tcp-udp.fineGrained': `
+        <strong>Fine-Grained Timing Controls for TCP+UDP:</strong> Every flag below applies to both phases. Tune for the UDP phase and check what it costs the TCP phase:
+
+        <ul>
+            <li><strong>Hostgroup Size</strong> (<code>--min-hostgroup</code>, <code>--max-hostgroup</code>)
+                <ul>
+                    <li>Still the most effective UDP setting—each host in the group adds its own ICMP budget. The trade-off is latency: TCP results for a group are held until that group's UDP phase completes, so large groups mean a long wait before the first output.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retransmissions</strong> (<code>--max-retries</code>)
+                <ul>
+                    <li>Shared by both phases. Lowering retries barely speeds up the TCP phase but costs UDP accuracy; keep 6 or more unless the UDP port list is tiny.</li>
+                </ul>
+            </li>
+
+            <li><strong>Scan Delays</strong> (<code>--scan-delay</code>, <code>--max-scan-delay</code>)
+                <ul>
+                    <li>A fixed <code>--scan-delay</code> chosen for UDP slows the TCP phase by the same amount. A low <code>--max-scan-delay</code> (T4/T5-style 10ms or 5ms) stops Nmap backing off in the UDP phase, so closed ports are reported as open|filtered.</li>
+                </ul>
+            </li>
+
+            <li><strong>Rate Limiting</strong> (<code>--min-rate</code>, <code>--max-rate</code>)
+                <ul>
+                    <li><code>--min-rate</code> forces both phases to keep sending. Values that suit TCP push UDP probes out faster than targets can answer; prefer <code>--max-rate</code> to protect fragile networks.</li>
+                </ul>
+            </li>
+
+            <li><strong>Host Timeout</strong> (<code>--host-timeout</code>)
+                <ul>
+                    <li>Counts the whole host, both phases together. Size it for the UDP phase (30m or more for 1,000 UDP ports) or hosts will be dropped part-way through.</li>
+                </ul>
+            </li>
+        </ul>
+
+        <p>If the two phases need very different timing, run them as two separate Nmap commands instead.</p>
+    `,
+    'timing.tcp-udp.maxScanDelay': `Maximum delay between probes, shared by the TCP and UDP phases. Nmap only needs to back off in the UDP phase, so leave this at 0 (adaptive) or at least 1 second. T4 and T5 cap TCP delays at 10ms and 5ms but still let UDP back off to 1 second. A low explicit value forces UDP probes out faster than ICMP rate limits allow.`,
+    'timing.tcp-udp.maxRetries': `Maximum retransmissions per port in both phases. TCP rarely needs many, but UDP relies on retries to tell open|filtered from dropped probes. T0-T3 use 10 retries, T4 uses 6, T5 uses 2. Keep 6 or more for combined scans unless only a few UDP ports are scanned.`,
+    'timing.tcp-udp.parallelism': `Number of concurrent probes in each phase. The TCP phase benefits from high parallelism, while the UDP phase is capped by the targets' ICMP rate limits no matter how many probes are outstanding. Moderate values (50-100) suit both; use --min-hostgroup to speed up the UDP phase instead.`,
+
+    // Timing page: SCTP INIT scans
+    'timing.sctp.templateDescription': `
+        <p>The SCTP INIT scan (<code>-sY</code>) is the SCTP counterpart of a TCP SYN scan. Nmap sends an INIT chunk and never completes the association: an <strong>INIT-ACK</strong> means open, an <strong>ABORT</strong> means closed, and silence or an ICMP unreachable means filtered. The timing templates behave as they do for TCP—same RTT timeouts, same 10ms/5ms delay caps for T4/T5.</p>
+
+        <div class="icmp-definition">
+            <strong>Why SCTP scans stall:</strong> Many firewalls, NAT devices and cloud networks drop SCTP outright, so large parts of a scan come back <strong>filtered</strong>. Each filtered port costs the full RTT timeout for every retry, which makes <code>--max-rtt-timeout</code> and <code>--max-retries</code> the settings that decide scan time. SCTP services are few (Diameter 3868, SIGTRAN M3UA 2905, S1AP 36412, X2AP 36422), so scan a short <code>-p</code> list.
+        </div>
+
+        <p><strong>Template Quick Reference:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Template</th>
+                    <th>Scan Delay</th>
+                    <th>Max Retries</th>
+                    <th>Use Case</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>5 min</td>
+                    <td>10</td>
+                    <td>IDS evasion on monitored signalling networks</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>15 sec</td>
+                    <td>10</td>
+                    <td>IDS evasion, very slow</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>400ms</td>
+                    <td>10</td>
+                    <td>Live telecom cores and other fragile gear</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Adaptive</td>
+                    <td>10</td>
+                    <td>Default; handles filtered paths well</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>10ms max</td>
+                    <td>6</td>
+                    <td>Labs and paths known to pass SCTP</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>5ms max</td>
+                    <td>2</td>
+                    <td>Not recommended; lost INITs show as filtered</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Choosing a template:</strong> Signalling nodes such as STPs, MMEs and Diameter agents often log or rate-limit unexpected association attempts, so <strong>Polite (T2)</strong> or an explicit <code>--max-rate</code> is the usual choice on production networks. <strong>Insane (T5)</strong> gives up after two retries, and because drops are common on SCTP paths it reports open ports as filtered.</p>
+    `,
+    'timing.sctp.fineGrained': `<strong>Fine-Grained Timing Controls for SCTP:</strong> The flags work as they do for TCP, but filtered ports dominate SCTP scans. <strong>Probe timeouts</strong> (--min-rtt-timeout, --max-rtt-timeout, --initial-rtt-timeout) matter most: every dropped INIT waits the full timeout, so set --max-rtt-timeout close to the observed RTT once you know the path. <strong>Retransmissions</strong> (--max-retries) separate lost packets from real filtering—keep at least 2. <strong>Hostgroup size</strong> (--min-hostgroup, --max-hostgroup) helps because SCTP scans usually cover few ports on many endpoints. <strong>Scan delays</strong> (--scan-delay, --max-scan-delay) and <strong>rate limiting</strong> (--min-rate, --max-rate) protect signalling equipment whose association tables are small. Nmap's congestion control adapts to drops exactly as it does for TCP SYN scans.`,
+    'timing.sctp.maxScanDelay': `Maximum delay between SCTP INIT probes. Set to 0 for adaptive behavior (T3-T5). T0-T2 use delays of 5min-400ms for stealth. T4 caps at 10ms, T5 at 5ms, as for TCP. Longer delays protect signalling equipment that rate-limits association attempts.`,
+    'timing.sctp.maxRetries': `Maximum INIT retransmissions before a port is marked filtered. SCTP is often dropped in transit, so retries separate loss from real filtering. T0-T3 use 10 retries, T4 uses 6, T5 uses 2. Keep at least 2; each retry on a filtered port costs a full RTT timeout.`,
+    'timing.sctp.parallelism': `Number of concurrent INIT probes. 0 = serial (one at a time, T0-T2 behavior). T3-T5 use dynamic parallelism (typically 100-300+). Because SCTP port lists are short, parallelism across hosts (--min-hostgroup) usually matters more than per-host parallelism.`,
+
+    // Timing page: TCP scans
+    'timing.tcp.templateDescription': `Nmap's timing templates (0-5) provide a simple way to control scan aggressiveness without manually configuring dozens of parameters. Each template sets multiple timing values simultaneously: <strong>Paranoid (T0)</strong> and <strong>Sneaky (T1)</strong> serialize scans and add long delays (5 minutes to 15 seconds between probes) to evade IDS detection—ideal for stealth but extremely slow. <strong>Polite (T2)</strong> adds 400ms delays to reduce bandwidth and target load, but scans can take 10x longer than default. <strong>Normal (T3)</strong> is the balanced default with adaptive timing. <strong>Aggressive (T4)</strong> caps TCP scan delays at 10ms and reduces retries to 6, assuming fast reliable networks—recommended for modern infrastructure. <strong>Insane (T5)</strong> minimizes all timeouts (300ms max RTT, 5ms TCP delay, only 2 retries) for maximum speed, sacrificing some accuracy. Templates can be combined with fine-grained controls; granular options override template defaults for specific parameters.`,
+    'timing.tcp.fineGrained': `<strong>Fine-Grained Timing Controls:</strong> Beyond templates, Nmap offers precise control over scan behavior. <strong>Hostgroup size</strong> (--min-hostgroup, --max-hostgroup) determines how many hosts are scanned concurrently—larger groups are faster but delay results. <strong>Parallelism</strong> (--min-parallelism, --max-parallelism) controls concurrent probes per host—higher values speed scans but may overwhelm targets or trigger rate limiting. <strong>Probe timeouts</strong> (--min-rtt-timeout, --max-rtt-timeout, --initial-rtt-timeout) define how long Nmap waits for responses—lower values speed up scans on fast networks but cause false negatives on slow links. <strong>Retransmissions</strong> (--max-retries) determine persistence—more retries improve accuracy on unreliable networks but slow scans. <strong>Scan delays</strong> (--scan-delay, --max-scan-delay) insert pauses between probes to avoid rate limiting—TCP can use very low delays (5ms with T5). <strong>Rate limiting</strong> (--min-rate, --max-rate) directly controls packets per second. Nmap's adaptive algorithms (congestion control, RTT estimation, exponential backoff) dynamically adjust these parameters based on detected network conditions, packet loss, and latency—ensuring optimal balance between speed and accuracy without manual tuning.`,
+    'timing.tcp.maxScanDelay': `Maximum delay between probes. Set to 0 for adaptive behavior (T3-T5). T0-T2 use delays of 5min-400ms for stealth. T4 caps at 10ms, T5 at 5ms. Higher delays avoid rate limiting and IDS detection but slow scans dramatically.`,
+    'timing.tcp.maxRetries': `Maximum probe retransmissions before giving up. Higher values improve accuracy on unreliable networks but slow scans. T0-T3 use 10 retries, T4 uses 6, T5 uses 2. Set to 0 for fastest scans but lower accuracy.`,
+    'timing.tcp.parallelism': `Number of concurrent probes sent simultaneously. 0 = serial (one at a time, T0-T2 behavior). T3-T5 use dynamic parallelism (typically 100-300+). Higher values speed scans but may overwhelm targets or trigger rate limiting.`
+});
@@ -0,0 +1,311 @@
+/**
+ * Spanish strings. Keys missing here fall back to the English bundle (locales/en.js).
+ */
+
+LocaleControl.register('es', {
+    // Navigation bar
+    'nav.timing': 'Temporización',
+    'nav.hostDiscovery': 'Descubrimiento de hosts',
+    'nav.scripting': 'Scripting y automatización',
+    'nav.evasion': 'Evasión y bypass de firewalls',
+
+    // Timing page: UDP scans
+    'timing.udp.templateDescription': `
+        <p>Las plantillas de temporización de Nmap (0-5) ofrecen una forma sencilla de controlar la agresividad del escaneo UDP. UDP presenta retos propios que lo hacen intrínsecamente más lento que el escaneo TCP.</p>
+
+        <div class="icmp-definition">
+            <strong>Limitación de tasa ICMP (crítica para UDP):</strong> Cuando un puerto UDP está cerrado, el objetivo suele responder con un mensaje <strong>ICMP Port Unreachable</strong> (tipo 3, código 3). Sin embargo, los kernels de Linux (y muchos otros sistemas) aplican una <strong>limitación de tasa en el kernel</strong> que restringe estos mensajes de error ICMP a aproximadamente <strong>1 por segundo por host</strong>. Es el mayor freno a la velocidad del escaneo UDP: un escaneo de 65.536 puertos contra un solo host con limitación de tasa tardaría más de 18 horas. Entender esta limitación es imprescindible para escanear UDP con eficacia.
+        </div>
+
+        <p><strong>Referencia rápida de plantillas:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Plantilla</th>
+                    <th>Objetivo principal</th>
+                    <th>Retardo UDP</th>
+                    <th>Reintentos máx.</th>
+                    <th>Caso de uso</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>Máximo sigilo</td>
+                    <td>5 min</td>
+                    <td>10</td>
+                    <td>Evasión de IDS, extremadamente lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>Alto sigilo</td>
+                    <td>15 s</td>
+                    <td>10</td>
+                    <td>Evasión de IDS, muy lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>Reducir la carga del objetivo</td>
+                    <td>400ms</td>
+                    <td>10</td>
+                    <td>Ahorro de ancho de banda, 10 veces más lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Equilibrio/adaptativo</td>
+                    <td>1 s (adaptativo)</td>
+                    <td>10</td>
+                    <td>Recomendado para UDP por la limitación de tasa</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>Velocidad (con límites)</td>
+                    <td>1 s máx.</td>
+                    <td>6</td>
+                    <td>Más rápido, pero aún limitado por la tasa ICMP</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>Máxima velocidad</td>
+                    <td>1 s máx.</td>
+                    <td>2</td>
+                    <td>El más rápido, pero 10-100 veces más lento que TCP</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Detalle de las plantillas:</strong> <strong>Paranoid (T0)</strong> y <strong>Sneaky (T1)</strong> serializan el escaneo y añaden largos retardos (de 5 minutos a 15 segundos entre sondas) para evadir los IDS: ideales para el sigilo, pero extremadamente lentas. <strong>Polite (T2)</strong> añade retardos de 400ms para reducir el ancho de banda y la carga del objetivo, pero los escaneos UDP pueden tardar 10 veces más que los TCP. <strong>Normal (T3)</strong> es el valor por defecto equilibrado con temporización adaptativa, a menudo recomendado para UDP por la limitación de tasa. <strong>Aggressive (T4)</strong> limita el retardo del escaneo UDP a 1 segundo (frente a los 10ms de TCP) y reduce los reintentos a 6, pero los escaneos UDP siguen siendo mucho más lentos que los TCP por la limitación de tasa ICMP. <strong>Insane (T5)</strong> minimiza los tiempos de espera (RTT máximo de 300ms, retardo UDP de 1 segundo, solo 2 reintentos), pero los escaneos UDP siguen siendo 10-100 veces más lentos que los TCP. Las plantillas se pueden combinar con controles detallados; las opciones específicas sustituyen los valores por defecto de la plantilla para cada parámetro.</p>
+    `,
+    'timing.udp.fineGrained': `
+        <strong>Controles detallados de temporización para UDP:</strong> El escaneo UDP requiere estrategias muy distintas a las de TCP. Cada parámetro tiene implicaciones propias en UDP:
+
+        <ul>
+            <li><strong>Tamaño del grupo de hosts</strong> (<code>--min-hostgroup</code>, <code>--max-hostgroup</code>)
+                <ul>
+                    <li><strong>Valor didáctico:</strong> Es el parámetro más importante para UDP. Escanear N hosts a la vez permite recibir hasta N errores ICMP por segundo (uno de cada host), lo que en la práctica sortea el límite de 1 por segundo que el kernel impone en cada objetivo. Por ejemplo, escanear 100 hosts permite recibir 100 errores ICMP por segundo en lugar de solo 1 por segundo de un único host: 100 veces más rendimiento.</li>
+                </ul>
+            </li>
+
+            <li><strong>Paralelismo</strong> (<code>--min-parallelism</code>, <code>--max-parallelism</code>)
+                <ul>
+                    <li>Hay que equilibrarlo con cuidado en UDP: demasiado alto satura a los objetivos con limitación de tasa, pero UDP se beneficia de un paralelismo moderado (50-100). A diferencia de TCP, que admite 200-300+ sondas simultáneas, UDP requiere un paralelismo más conservador para no activar los límites de tasa ICMP.</li>
+                </ul>
+            </li>
+
+            <li><strong>Tiempos de espera de las sondas</strong> (<code>--min-rtt-timeout</code>, <code>--max-rtt-timeout</code>, <code>--initial-rtt-timeout</code>)
+                <ul>
+                    <li>Son menos eficaces en UDP que en TCP por el <strong>problema de la ambigüedad open|filtered</strong>: un puerto UDP <strong>abierto</strong> a menudo no responde (el servicio recibe el paquete pero no contesta a sondas no válidas), igual que un puerto <strong>filtrado</strong> descarta la sonda. Esta ambigüedad es la que hace imprescindibles los reintentos y los tiempos de espera más largos en UDP: ayudan a distinguir los puertos realmente abiertos de los filtrados.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retransmisiones</strong> (<code>--max-retries</code>)
+                <ul>
+                    <li>Imprescindibles en UDP: más reintentos ayudan a distinguir puertos abiertos de filtrados (resolviendo la ambigüedad open|filtered), pero alargan mucho el escaneo por la limitación de tasa. En UDP conviene usar más reintentos (8-10) para mejorar la precisión, asumiendo escaneos mucho más largos.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retardos de escaneo</strong> (<code>--scan-delay</code>, <code>--max-scan-delay</code>)
+                <ul>
+                    <li>Críticos en UDP: los kernels de Linux limitan los mensajes ICMP port unreachable a 1 por segundo, por lo que los retardos son necesarios para no saturar a los objetivos. El retardo máximo del escaneo UDP suele ser de 1 segundo (frente al mínimo de 5ms de TCP). Incluso con T4/T5, los retardos UDP se mantienen en 1 segundo por la limitación de tasa.</li>
+                </ul>
+            </li>
+
+            <li><strong>Limitación de tasa</strong> (<code>--min-rate</code>, <code>--max-rate</code>)
+                <ul>
+                    <li>Debe usarse con cautela en UDP para no activar los límites de tasa ICMP. Una tasa demasiado alta provoca sondas descartadas y tiempo perdido.</li>
+                </ul>
+            </li>
+
+            <li><strong>Tiempo límite por host</strong> (<code>--host-timeout</code>)
+                <ul>
+                    <li>Muy recomendable en UDP: use <code>15m</code> para saltarse los hosts lentos con limitación de tasa. Así se escanean rápido todos los hosts que responden mientras los lentos avanzan en segundo plano.</li>
+                </ul>
+            </li>
+        </ul>
+
+        <p>Los algoritmos adaptativos de Nmap ayudan, pero los escaneos UDP siempre serán bastante más lentos que los TCP por las limitaciones del protocolo y la limitación de tasa ICMP.</p>
+    `,
+    'timing.udp.maxScanDelay': `Retardo máximo entre sondas UDP. Crítico en el escaneo UDP: los kernels de Linux limitan los mensajes ICMP port unreachable a 1 por segundo, por lo que los retardos son necesarios. Use 0 para un comportamiento adaptativo (T3-T5). T0-T2 usan retardos de 5min-400ms por sigilo. T4-T5 limitan el retardo UDP a 1 segundo (frente a los 10ms/5ms de TCP). Retardos mayores evitan saturar a los objetivos con limitación de tasa, pero ralentizan mucho el escaneo. Los escaneos UDP suelen requerir retardos más largos que los TCP.`,
+    'timing.udp.maxRetries': `Máximo de retransmisiones de una sonda UDP antes de rendirse. Más importante en UDP que en TCP: ayuda a distinguir puertos abiertos de filtrados (ambigüedad open|filtered). Valores más altos mejoran la precisión, pero alargan mucho el escaneo por la limitación de tasa. T0-T3 usan 10 reintentos, T4 usa 6 y T5 usa 2. En UDP conviene usar más reintentos (8-10) para mejorar la precisión, asumiendo escaneos mucho más largos.`,
+    'timing.udp.parallelism': `Número de sondas UDP enviadas simultáneamente. Hay que equilibrarlo con cuidado en UDP: demasiado alto satura a los objetivos con limitación de tasa (Linux limita los errores ICMP a 1 por segundo por host). 0 = en serie (de una en una, como T0-T2). T3-T5 usan paralelismo dinámico (normalmente 100-300+). En UDP, un paralelismo moderado (50-100) suele funcionar mejor que el máximo para no activar los límites de tasa. Considere usar --min-hostgroup para escanear varios hosts a la vez.`,
+
+    // Timing page: Combined TCP and UDP scans
+    'timing.tcp-udp.templateDescription': `
+        <p>Los escaneos combinados (<code>-sS -sU</code>) ejecutan un escaneo TCP SYN y después un escaneo UDP contra cada grupo de hosts en una sola ejecución de Nmap. La plantilla y todas las opciones detalladas se aplican a ambas fases (no hay forma de dar a la fase UDP sus propios reintentos o retardos), así que la temporización debe adaptarse a la fase UDP, más lenta, sin desperdiciar la rapidez de la fase TCP. Ambos tipos de escaneo requieren privilegios de root.</p>
+
+        <div class="icmp-definition">
+            <strong>Dónde se va el tiempo:</strong> La fase TCP de un escaneo de 1.000 puertos suele terminar en segundos por grupo de hosts. La fase UDP está frenada por la <strong>limitación de tasa ICMP</strong> (alrededor de 1 port unreachable por segundo por host en Linux), por lo que normalmente supone el 90% o más del tiempo total. Los resultados de un grupo de hosts solo se muestran cuando terminan ambas fases.
+        </div>
+
+        <p><strong>Referencia rápida de plantillas:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Plantilla</th>
+                    <th>Fase TCP</th>
+                    <th>Fase UDP</th>
+                    <th>Reintentos máx.</th>
+                    <th>Advertencia</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>5 min entre sondas</td>
+                    <td>5 min entre sondas</td>
+                    <td>10</td>
+                    <td>Solo viable para unos pocos puertos</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>15 s entre sondas</td>
+                    <td>15 s entre sondas</td>
+                    <td>10</td>
+                    <td>Horas por host con las listas de puertos por defecto</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>400ms entre sondas</td>
+                    <td>400ms, luego limitado por ICMP</td>
+                    <td>10</td>
+                    <td>El retardo ralentiza sobre todo la fase TCP</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Adaptativo</td>
+                    <td>Adaptativo, retrocede hasta 1 s</td>
+                    <td>10</td>
+                    <td>Punto de partida recomendado</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>Retardo máx. de 10ms</td>
+                    <td>Retardo máx. de 1 s</td>
+                    <td>6</td>
+                    <td>Combinar con --min-hostgroup en rangos grandes</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>Retardo máx. de 5ms</td>
+                    <td>Retardo máx. de 1 s</td>
+                    <td>2</td>
+                    <td>2 reintentos y un tiempo límite por host de 15m recortan la fase UDP</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Cómo elegir plantilla:</strong> Empiece por <strong>Normal (T3)</strong> o <strong>Aggressive (T4)</strong>; ambas dejan que Nmap ejecute la fase TCP a toda velocidad y solo retroceda en la fase UDP. <strong>Insane (T5)</strong> encaja mal: dos reintentos convierten las sondas UDP perdidas en falsos resultados open|filtered, y su tiempo límite por host de 15 minutos cubre ambas fases, así que los hosts UDP lentos se abandonan con resultados incompletos. Escanear menos puertos UDP (<code>-p T:1-1000,U:53,161,500</code>) ahorra mucho más tiempo que cualquier opción de temporización.</p>
+    `,
+    'timing.tcp-udp.fineGrained': `
+        <strong>Controles detallados de temporización para TCP+UDP:</strong> Todas las opciones siguientes se aplican a ambas fases. Ajústelas para la fase UDP y compruebe lo que cuestan en la fase TCP:
+
+        <ul>
+            <li><strong>Tamaño del grupo de hosts</strong> (<code>--min-hostgroup</code>, <code>--max-hostgroup</code>)
+                <ul>
+                    <li>Sigue siendo el ajuste más eficaz para UDP: cada host del grupo aporta su propio margen ICMP. La contrapartida es la latencia: los resultados TCP de un grupo se retienen hasta que termina su fase UDP, así que los grupos grandes implican una larga espera hasta la primera salida.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retransmisiones</strong> (<code>--max-retries</code>)
+                <ul>
+                    <li>Compartidas por ambas fases. Reducir los reintentos apenas acelera la fase TCP pero resta precisión a UDP; mantenga 6 o más salvo que la lista de puertos UDP sea muy corta.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retardos de escaneo</strong> (<code>--scan-delay</code>, <code>--max-scan-delay</code>)
+                <ul>
+                    <li>Un <code>--scan-delay</code> fijo pensado para UDP ralentiza la fase TCP en la misma medida. Un <code>--max-scan-delay</code> bajo (10ms o 5ms, al estilo de T4/T5) impide que Nmap retroceda en la fase UDP, así que los puertos cerrados aparecen como open|filtered.</li>
+                </ul>
+            </li>
+
+            <li><strong>Limitación de tasa</strong> (<code>--min-rate</code>, <code>--max-rate</code>)
+                <ul>
+                    <li><code>--min-rate</code> obliga a ambas fases a seguir enviando. Los valores adecuados para TCP envían sondas UDP más rápido de lo que los objetivos pueden responder; prefiera <code>--max-rate</code> para proteger redes frágiles.</li>
+                </ul>
+            </li>
+
+            <li><strong>Tiempo límite por host</strong> (<code>--host-timeout</code>)
+                <ul>
+                    <li>Cuenta el host completo, ambas fases juntas. Dimensiónelo para la fase UDP (30m o más para 1.000 puertos UDP) o los hosts se abandonarán a medias.</li>
+                </ul>
+            </li>
+        </ul>
+
+        <p>Si las dos fases necesitan temporizaciones muy distintas, ejecútelas como dos comandos de Nmap separados.</p>
+    `,
+    'timing.tcp-udp.maxScanDelay': `Retardo máximo entre sondas, compartido por las fases TCP y UDP. Nmap solo necesita retroceder en la fase UDP, así que déjelo en 0 (adaptativo) o en al menos 1 segundo. T4 y T5 limitan el retardo TCP a 10ms y 5ms, pero aun así dejan que UDP retroceda hasta 1 segundo. Un valor explícito bajo envía sondas UDP más rápido de lo que permiten los límites de tasa ICMP.`,
+    'timing.tcp-udp.maxRetries': `Máximo de retransmisiones por puerto en ambas fases. TCP rara vez necesita muchas, pero UDP depende de los reintentos para distinguir open|filtered de sondas perdidas. T0-T3 usan 10 reintentos, T4 usa 6 y T5 usa 2. Mantenga 6 o más en escaneos combinados salvo que se escaneen pocos puertos UDP.`,
+    'timing.tcp-udp.parallelism': `Número de sondas simultáneas en cada fase. La fase TCP se beneficia de un paralelismo alto, mientras que la fase UDP está limitada por los límites de tasa ICMP de los objetivos sin importar cuántas sondas haya pendientes. Los valores moderados (50-100) sirven para ambas; para acelerar la fase UDP use --min-hostgroup.`,
+
+    // Timing page: SCTP INIT scans
+    'timing.sctp.templateDescription': `
+        <p>El escaneo SCTP INIT (<code>-sY</code>) es el equivalente SCTP del escaneo TCP SYN. Nmap envía un chunk INIT y nunca completa la asociación: un <strong>INIT-ACK</strong> significa abierto, un <strong>ABORT</strong> significa cerrado, y el silencio o un ICMP unreachable significan filtrado. Las plantillas de temporización se comportan igual que en TCP: mismos tiempos de espera RTT y mismos límites de retardo de 10ms/5ms para T4/T5.</p>
+
+        <div class="icmp-definition">
+            <strong>Por qué se atascan los escaneos SCTP:</strong> Muchos firewalls, dispositivos NAT y redes en la nube descartan SCTP directamente, así que gran parte del escaneo vuelve como <strong>filtrado</strong>. Cada puerto filtrado cuesta el tiempo de espera RTT completo en cada reintento, lo que convierte a <code>--max-rtt-timeout</code> y <code>--max-retries</code> en los ajustes que deciden la duración del escaneo. Hay pocos servicios SCTP (Diameter 3868, SIGTRAN M3UA 2905, S1AP 36412, X2AP 36422), así que escanee una lista <code>-p</code> corta.
+        </div>
+
+        <p><strong>Referencia rápida de plantillas:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Plantilla</th>
+                    <th>Retardo de escaneo</th>
+                    <th>Reintentos máx.</th>
+                    <th>Caso de uso</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>5 min</td>
+                    <td>10</td>
+                    <td>Evasión de IDS en redes de señalización monitorizadas</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>15 s</td>
+                    <td>10</td>
+                    <td>Evasión de IDS, muy lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>400ms</td>
+                    <td>10</td>
+                    <td>Núcleos de telecomunicaciones en producción y otros equipos frágiles</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Adaptativo</td>
+                    <td>10</td>
+                    <td>Por defecto; maneja bien las rutas filtradas</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>10ms máx.</td>
+                    <td>6</td>
+                    <td>Laboratorios y rutas que se sabe que dejan pasar SCTP</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>5ms máx.</td>
+                    <td>2</td>
+                    <td>No recomendado; los INIT perdidos aparecen como filtrados</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Cómo elegir plantilla:</strong> Los nodos de señalización como STP, MME y agentes Diameter suelen registrar o limitar los intentos de asociación inesperados, así que <strong>Polite (T2)</strong> o un <code>--max-rate</code> explícito es la elección habitual en redes de producción. <strong>Insane (T5)</strong> se rinde tras dos reintentos y, como las pérdidas son frecuentes en las rutas SCTP, informa de puertos abiertos como filtrados.</p>
+    `,
+    'timing.sctp.fineGrained': `<strong>Controles detallados de temporización para SCTP:</strong> Las opciones funcionan igual que en TCP, pero en los escaneos SCTP predominan los puertos filtrados. Los <strong>tiempos de espera de las sondas</strong> (--min-rtt-timeout, --max-rtt-timeout, --initial-rtt-timeout) son lo más importante: cada INIT descartado espera el tiempo de espera completo, así que ajuste --max-rtt-timeout cerca del RTT observado en cuanto conozca la ruta. Las <strong>retransmisiones</strong> (--max-retries) separan los paquetes perdidos del filtrado real; mantenga al menos 2. El <strong>tamaño del grupo de hosts</strong> (--min-hostgroup, --max-hostgroup) ayuda porque los escaneos SCTP suelen cubrir pocos puertos en muchos extremos. Los <strong>retardos de escaneo</strong> (--scan-delay, --max-scan-delay) y la <strong>limitación de tasa</strong> (--min-rate, --max-rate) protegen los equipos de señalización, cuyas tablas de asociaciones son pequeñas. El control de congestión de Nmap se adapta a las pérdidas exactamente igual que en los escaneos TCP SYN.`,
+    'timing.sctp.maxScanDelay': `Retardo máximo entre sondas SCTP INIT. Use 0 para un comportamiento adaptativo (T3-T5). T0-T2 usan retardos de 5min-400ms por sigilo. T4 lo limita a 10ms y T5 a 5ms, como en TCP. Retardos más largos protegen los equipos de señalización que limitan los intentos de asociación.`,
+    'timing.sctp.maxRetries': `Máximo de retransmisiones de INIT antes de marcar un puerto como filtrado. SCTP se descarta a menudo en tránsito, así que los reintentos separan las pérdidas del filtrado real. T0-T3 usan 10 reintentos, T4 usa 6 y T5 usa 2. Mantenga al menos 2; cada reintento en un puerto filtrado cuesta un tiempo de espera RTT completo.`,
+    'timing.sctp.parallelism': `Número de sondas INIT simultáneas. 0 = en serie (de una en una, como T0-T2). T3-T5 usan paralelismo dinámico (normalmente 100-300+). Como las listas de puertos SCTP son cortas, el paralelismo entre hosts (--min-hostgroup) suele importar más que el paralelismo por host.`,
+
+    // Timing page: TCP scans
+    'timing.tcp.templateDescription': `Las plantillas de temporización de Nmap (0-5) ofrecen una forma sencilla de controlar la agresividad del escaneo sin configurar a mano docenas de parámetros. Cada plantilla fija varios valores de temporización a la vez: <strong>Paranoid (T0)</strong> y <strong>Sneaky (T1)</strong> serializan el escaneo y añaden largos retardos (de 5 minutos a 15 segundos entre sondas) para evadir los IDS: ideales para el sigilo, pero extremadamente lentas. <strong>Polite (T2)</strong> añade retardos de 400ms para reducir el ancho de banda y la carga del objetivo, pero el escaneo puede tardar 10 veces más que con los valores por defecto. <strong>Normal (T3)</strong> es el valor por defecto equilibrado con temporización adaptativa. <strong>Aggressive (T4)</strong> limita el retardo del escaneo TCP a 10ms y reduce los reintentos a 6, suponiendo redes rápidas y fiables; recomendada para infraestructuras modernas. <strong>Insane (T5)</strong> minimiza todos los tiempos de espera (RTT máximo de 300ms, retardo TCP de 5ms, solo 2 reintentos) para lograr la máxima velocidad a costa de algo de precisión. Las plantillas se pueden combinar con controles detallados; las opciones específicas sustituyen los valores por defecto de la plantilla para cada parámetro.`,
+    'timing.tcp.fineGrained': `<strong>Controles detallados de temporización:</strong> Más allá de las plantillas, Nmap ofrece un control preciso del comportamiento del escaneo. El <strong>tamaño del grupo de hosts</strong> (--min-hostgroup, --max-hostgroup) determina cuántos hosts se escanean a la vez: los grupos grandes son más rápidos pero retrasan los resultados. El <strong>paralelismo</strong> (--min-parallelism, --max-parallelism) controla las sondas simultáneas por host: valores altos aceleran el escaneo, pero pueden saturar a los objetivos o activar limitaciones de tasa. Los <strong>tiempos de espera de las sondas</strong> (--min-rtt-timeout, --max-rtt-timeout, --initial-rtt-timeout) definen cuánto espera Nmap las respuestas: valores bajos aceleran el escaneo en redes rápidas, pero provocan falsos negativos en enlaces lentos. Las <strong>retransmisiones</strong> (--max-retries) determinan la persistencia: más reintentos mejoran la precisión en redes poco fiables, pero ralentizan el escaneo. Los <strong>retardos de escaneo</strong> (--scan-delay, --max-scan-delay) insertan pausas entre sondas para evitar la limitación de tasa; TCP admite retardos muy bajos (5ms con T5). La <strong>limitación de tasa</strong> (--min-rate, --max-rate) controla directamente los paquetes por segundo. Los algoritmos adaptativos de Nmap (control de congestión, estimación del RTT, retroceso exponencial) ajustan dinámicamente estos parámetros según las condiciones de red detectadas, la pérdida de paquetes y la latencia, logrando un buen equilibrio entre velocidad y precisión sin ajustes manuales.`,
+    'timing.tcp.maxScanDelay': `Retardo máximo entre sondas. Use 0 para un comportamiento adaptativo (T3-T5). T0-T2 usan retardos de 5min-400ms por sigilo. T4 lo limita a 10ms y T5 a 5ms. Retardos mayores evitan la limitación de tasa y la detección por IDS, pero ralentizan mucho el escaneo.`,
+    'timing.tcp.maxRetries': `Máximo de retransmisiones de una sonda antes de rendirse. Valores más altos mejoran la precisión en redes poco fiables, pero ralentizan el escaneo. T0-T3 usan 10 reintentos, T4 usa 6 y T5 usa 2. Use 0 para el escaneo más rápido, con menor precisión.`,
+    'timing.tcp.parallelism': `Número de sondas enviadas simultáneamente. 0 = en serie (de una en una, como T0-T2). T3-T5 usan paralelismo dinámico (normalmente 100-300+). Valores más altos aceleran el escaneo, pero pueden saturar a los objetivos o activar limitaciones de tasa.`
+});
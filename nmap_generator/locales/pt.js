@@ -0,0 +1,311 @@
+/**
+ * Portuguese strings. Keys missing here fall back to the English bundle (locales/en.js).
+ */
+
+LocaleControl.register('pt', {
+    // Navigation bar
+    'nav.timing': 'Temporização',
+    'nav.hostDiscovery': 'Descoberta de hosts',
+    'nav.scripting': 'Scripting e automação',
+    'nav.evasion': 'Evasão e bypass de firewalls',
+
+    // Timing page: UDP scans
+    'timing.udp.templateDescription': `
+        <p>Os templates de temporização do Nmap (0-5) oferecem uma forma simples de controlar a agressividade da varredura UDP. O UDP traz desafios próprios que o tornam intrinsecamente mais lento que a varredura TCP.</p>
+
+        <div class="icmp-definition">
+            <strong>Limitação de taxa ICMP (crítica para UDP):</strong> Quando uma porta UDP está fechada, o alvo normalmente responde com uma mensagem <strong>ICMP Port Unreachable</strong> (tipo 3, código 3). Porém, kernels Linux (e muitos outros sistemas) aplicam uma <strong>limitação de taxa no kernel</strong> que restringe essas mensagens de erro ICMP a aproximadamente <strong>1 por segundo por host</strong>. Esse é o maior obstáculo à velocidade da varredura UDP: uma varredura de 65.536 portas contra um único host com limitação de taxa levaria mais de 18 horas. Entender essa limitação é essencial para varrer UDP com eficácia.
+        </div>
+
+        <p><strong>Referência rápida dos templates:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Template</th>
+                    <th>Objetivo principal</th>
+                    <th>Atraso UDP</th>
+                    <th>Máx. de tentativas</th>
+                    <th>Caso de uso</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>Máxima furtividade</td>
+                    <td>5 min</td>
+                    <td>10</td>
+                    <td>Evasão de IDS, extremamente lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>Alta furtividade</td>
+                    <td>15 s</td>
+                    <td>10</td>
+                    <td>Evasão de IDS, muito lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>Reduzir a carga no alvo</td>
+                    <td>400ms</td>
+                    <td>10</td>
+                    <td>Economia de banda, 10 vezes mais lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Equilíbrio/adaptativo</td>
+                    <td>1 s (adaptativo)</td>
+                    <td>10</td>
+                    <td>Recomendado para UDP por causa da limitação de taxa</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>Velocidade (com limites)</td>
+                    <td>1 s máx.</td>
+                    <td>6</td>
+                    <td>Mais rápido, mas ainda limitado pela taxa ICMP</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>Velocidade máxima</td>
+                    <td>1 s máx.</td>
+                    <td>2</td>
+                    <td>O mais rápido, mas 10-100 vezes mais lento que TCP</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Detalhamento dos templates:</strong> <strong>Paranoid (T0)</strong> e <strong>Sneaky (T1)</strong> serializam a varredura e adicionam longos atrasos (de 5 minutos a 15 segundos entre sondas) para evadir IDS: ideais para furtividade, mas extremamente lentos. <strong>Polite (T2)</strong> adiciona atrasos de 400ms para reduzir a banda e a carga no alvo, mas varreduras UDP podem levar 10 vezes mais que as TCP. <strong>Normal (T3)</strong> é o padrão equilibrado com temporização adaptativa, muitas vezes recomendado para UDP por causa da limitação de taxa. <strong>Aggressive (T4)</strong> limita o atraso da varredura UDP a 1 segundo (contra os 10ms do TCP) e reduz as tentativas para 6, mas varreduras UDP continuam muito mais lentas que as TCP por causa da limitação de taxa ICMP. <strong>Insane (T5)</strong> minimiza os tempos limite (RTT máximo de 300ms, atraso UDP de 1 segundo, apenas 2 tentativas), mas varreduras UDP continuam 10-100 vezes mais lentas que as TCP. Os templates podem ser combinados com controles detalhados; as opções específicas substituem os valores padrão do template para cada parâmetro.</p>
+    `,
+    'timing.udp.fineGrained': `
+        <strong>Controles detalhados de temporização para UDP:</strong> A varredura UDP exige estratégias bem diferentes das do TCP. Cada parâmetro tem implicações próprias no UDP:
+
+        <ul>
+            <li><strong>Tamanho do grupo de hosts</strong> (<code>--min-hostgroup</code>, <code>--max-hostgroup</code>)
+                <ul>
+                    <li><strong>Valor didático:</strong> É o parâmetro mais importante para UDP. Varrer N hosts ao mesmo tempo permite receber até N erros ICMP por segundo (um de cada host), contornando na prática o limite de 1 por segundo que o kernel impõe em cada alvo. Por exemplo, varrer 100 hosts permite receber 100 erros ICMP por segundo em vez de apenas 1 por segundo de um único host: 100 vezes mais vazão.</li>
+                </ul>
+            </li>
+
+            <li><strong>Paralelismo</strong> (<code>--min-parallelism</code>, <code>--max-parallelism</code>)
+                <ul>
+                    <li>Precisa ser equilibrado com cuidado no UDP: alto demais sobrecarrega os alvos com limitação de taxa, mas o UDP se beneficia de paralelismo moderado (50-100). Ao contrário do TCP, que suporta 200-300+ sondas simultâneas, o UDP exige um paralelismo mais conservador para não disparar os limites de taxa ICMP.</li>
+                </ul>
+            </li>
+
+            <li><strong>Tempos limite das sondas</strong> (<code>--min-rtt-timeout</code>, <code>--max-rtt-timeout</code>, <code>--initial-rtt-timeout</code>)
+                <ul>
+                    <li>São menos eficazes no UDP que no TCP por causa do <strong>problema da ambiguidade open|filtered</strong>: uma porta UDP <strong>aberta</strong> muitas vezes não responde (o serviço recebe o pacote mas não responde a sondas inválidas), assim como uma porta <strong>filtrada</strong> descarta a sonda. É essa ambiguidade que torna novas tentativas e tempos limite maiores essenciais no UDP: eles ajudam a distinguir portas realmente abertas das filtradas.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retransmissões</strong> (<code>--max-retries</code>)
+                <ul>
+                    <li>Essenciais no UDP: mais tentativas ajudam a distinguir portas abertas de filtradas (resolvendo a ambiguidade open|filtered), mas aumentam muito o tempo de varredura por causa da limitação de taxa. No UDP, considere mais tentativas (8-10) para melhorar a precisão, sabendo que a varredura levará muito mais tempo.</li>
+                </ul>
+            </li>
+
+            <li><strong>Atrasos de varredura</strong> (<code>--scan-delay</code>, <code>--max-scan-delay</code>)
+                <ul>
+                    <li>Críticos no UDP: kernels Linux limitam as mensagens ICMP port unreachable a 1 por segundo, então os atrasos são necessários para não sobrecarregar os alvos. O atraso máximo da varredura UDP costuma ser de 1 segundo (contra o mínimo de 5ms do TCP). Mesmo com T4/T5, os atrasos UDP ficam em 1 segundo por causa da limitação de taxa.</li>
+                </ul>
+            </li>
+
+            <li><strong>Limitação de taxa</strong> (<code>--min-rate</code>, <code>--max-rate</code>)
+                <ul>
+                    <li>Deve ser usada com cautela no UDP para não disparar os limites de taxa ICMP. Uma taxa alta demais resulta em sondas descartadas e tempo perdido.</li>
+                </ul>
+            </li>
+
+            <li><strong>Tempo limite por host</strong> (<code>--host-timeout</code>)
+                <ul>
+                    <li>Altamente recomendado no UDP: use <code>15m</code> para pular hosts lentos com limitação de taxa. Assim todos os hosts que respondem são varridos rapidamente enquanto os lentos avançam em segundo plano.</li>
+                </ul>
+            </li>
+        </ul>
+
+        <p>Os algoritmos adaptativos do Nmap ajudam, mas varreduras UDP sempre serão bem mais lentas que as TCP por causa das limitações do protocolo e da limitação de taxa ICMP.</p>
+    `,
+    'timing.udp.maxScanDelay': `Atraso máximo entre sondas UDP. Crítico na varredura UDP: kernels Linux limitam as mensagens ICMP port unreachable a 1 por segundo, então os atrasos são necessários. Use 0 para comportamento adaptativo (T3-T5). T0-T2 usam atrasos de 5min-400ms por furtividade. T4-T5 limitam o atraso UDP a 1 segundo (contra os 10ms/5ms do TCP). Atrasos maiores evitam sobrecarregar alvos com limitação de taxa, mas deixam a varredura muito mais lenta. Varreduras UDP costumam exigir atrasos maiores que as TCP.`,
+    'timing.udp.maxRetries': `Máximo de retransmissões de uma sonda UDP antes de desistir. Mais importante no UDP que no TCP: ajuda a distinguir portas abertas de filtradas (ambiguidade open|filtered). Valores maiores melhoram a precisão, mas aumentam muito o tempo de varredura por causa da limitação de taxa. T0-T3 usam 10 tentativas, T4 usa 6 e T5 usa 2. No UDP, considere mais tentativas (8-10) para melhorar a precisão, sabendo que a varredura levará muito mais tempo.`,
+    'timing.udp.parallelism': `Número de sondas UDP enviadas simultaneamente. Precisa ser equilibrado com cuidado no UDP: alto demais sobrecarrega os alvos com limitação de taxa (o Linux limita os erros ICMP a 1 por segundo por host). 0 = em série (uma de cada vez, como T0-T2). T3-T5 usam paralelismo dinâmico (normalmente 100-300+). No UDP, um paralelismo moderado (50-100) costuma funcionar melhor que o máximo para não disparar os limites de taxa. Considere usar --min-hostgroup para varrer vários hosts ao mesmo tempo.`,
+
+    // Timing page: Combined TCP and UDP scans
+    'timing.tcp-udp.templateDescription': `
+        <p>Varreduras combinadas (<code>-sS -sU</code>) executam uma varredura TCP SYN e depois uma varredura UDP contra cada grupo de hosts em uma única execução do Nmap. O template e todas as opções detalhadas valem para as duas fases (não há como dar à fase UDP suas próprias tentativas ou atrasos), então a temporização precisa servir à fase UDP, mais lenta, sem desperdiçar a rapidez da fase TCP. Os dois tipos de varredura exigem privilégios de root.</p>
+
+        <div class="icmp-definition">
+            <strong>Para onde vai o tempo:</strong> A fase TCP de uma varredura de 1.000 portas costuma terminar em segundos por grupo de hosts. A fase UDP é freada pela <strong>limitação de taxa ICMP</strong> (cerca de 1 port unreachable por segundo por host no Linux), por isso normalmente responde por 90% ou mais do tempo total. Os resultados de um grupo de hosts só são exibidos quando as duas fases terminam.
+        </div>
+
+        <p><strong>Referência rápida dos templates:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Template</th>
+                    <th>Fase TCP</th>
+                    <th>Fase UDP</th>
+                    <th>Máx. de tentativas</th>
+                    <th>Ressalva</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>5 min entre sondas</td>
+                    <td>5 min entre sondas</td>
+                    <td>10</td>
+                    <td>Viável apenas para poucas portas</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>15 s entre sondas</td>
+                    <td>15 s entre sondas</td>
+                    <td>10</td>
+                    <td>Horas por host com as listas de portas padrão</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>400ms entre sondas</td>
+                    <td>400ms, depois limitado pelo ICMP</td>
+                    <td>10</td>
+                    <td>O atraso deixa mais lenta sobretudo a fase TCP</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Adaptativo</td>
+                    <td>Adaptativo, recua até 1 s</td>
+                    <td>10</td>
+                    <td>Ponto de partida recomendado</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>Atraso máx. de 10ms</td>
+                    <td>Atraso máx. de 1 s</td>
+                    <td>6</td>
+                    <td>Combine com --min-hostgroup em faixas grandes</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>Atraso máx. de 5ms</td>
+                    <td>Atraso máx. de 1 s</td>
+                    <td>2</td>
+                    <td>2 tentativas e um tempo limite por host de 15m encurtam a fase UDP</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Como escolher o template:</strong> Comece por <strong>Normal (T3)</strong> ou <strong>Aggressive (T4)</strong>; ambos deixam o Nmap executar a fase TCP em velocidade total e recuar apenas na fase UDP. <strong>Insane (T5)</strong> não combina: duas tentativas transformam sondas UDP perdidas em falsos resultados open|filtered, e seu tempo limite por host de 15 minutos cobre as duas fases, então hosts UDP lentos são abandonados com resultados incompletos. Varrer menos portas UDP (<code>-p T:1-1000,U:53,161,500</code>) economiza muito mais tempo que qualquer opção de temporização.</p>
+    `,
+    'timing.tcp-udp.fineGrained': `
+        <strong>Controles detalhados de temporização para TCP+UDP:</strong> Todas as opções abaixo valem para as duas fases. Ajuste-as para a fase UDP e verifique quanto custam na fase TCP:
+
+        <ul>
+            <li><strong>Tamanho do grupo de hosts</strong> (<code>--min-hostgroup</code>, <code>--max-hostgroup</code>)
+                <ul>
+                    <li>Continua sendo o ajuste mais eficaz para UDP: cada host do grupo traz sua própria cota ICMP. O preço é a latência: os resultados TCP de um grupo ficam retidos até a fase UDP desse grupo terminar, então grupos grandes significam uma longa espera até a primeira saída.</li>
+                </ul>
+            </li>
+
+            <li><strong>Retransmissões</strong> (<code>--max-retries</code>)
+                <ul>
+                    <li>Compartilhadas pelas duas fases. Reduzir as tentativas quase não acelera a fase TCP, mas custa precisão no UDP; mantenha 6 ou mais, a menos que a lista de portas UDP seja mínima.</li>
+                </ul>
+            </li>
+
+            <li><strong>Atrasos de varredura</strong> (<code>--scan-delay</code>, <code>--max-scan-delay</code>)
+                <ul>
+                    <li>Um <code>--scan-delay</code> fixo escolhido para o UDP deixa a fase TCP mais lenta na mesma medida. Um <code>--max-scan-delay</code> baixo (10ms ou 5ms, no estilo de T4/T5) impede o Nmap de recuar na fase UDP, então portas fechadas aparecem como open|filtered.</li>
+                </ul>
+            </li>
+
+            <li><strong>Limitação de taxa</strong> (<code>--min-rate</code>, <code>--max-rate</code>)
+                <ul>
+                    <li><code>--min-rate</code> obriga as duas fases a continuar enviando. Valores adequados ao TCP disparam sondas UDP mais rápido do que os alvos conseguem responder; prefira <code>--max-rate</code> para proteger redes frágeis.</li>
+                </ul>
+            </li>
+
+            <li><strong>Tempo limite por host</strong> (<code>--host-timeout</code>)
+                <ul>
+                    <li>Conta o host inteiro, as duas fases juntas. Dimensione-o para a fase UDP (30m ou mais para 1.000 portas UDP) ou os hosts serão abandonados no meio.</li>
+                </ul>
+            </li>
+        </ul>
+
+        <p>Se as duas fases precisarem de temporizações muito diferentes, execute-as como dois comandos Nmap separados.</p>
+    `,
+    'timing.tcp-udp.maxScanDelay': `Atraso máximo entre sondas, compartilhado pelas fases TCP e UDP. O Nmap só precisa recuar na fase UDP, então deixe em 0 (adaptativo) ou em pelo menos 1 segundo. T4 e T5 limitam o atraso TCP a 10ms e 5ms, mas ainda deixam o UDP recuar até 1 segundo. Um valor explícito baixo dispara sondas UDP mais rápido do que os limites de taxa ICMP permitem.`,
+    'timing.tcp-udp.maxRetries': `Máximo de retransmissões por porta nas duas fases. O TCP raramente precisa de muitas, mas o UDP depende das tentativas para separar open|filtered de sondas perdidas. T0-T3 usam 10 tentativas, T4 usa 6 e T5 usa 2. Mantenha 6 ou mais em varreduras combinadas, a menos que poucas portas UDP sejam varridas.`,
+    'timing.tcp-udp.parallelism': `Número de sondas simultâneas em cada fase. A fase TCP se beneficia de paralelismo alto, enquanto a fase UDP fica limitada pelos limites de taxa ICMP dos alvos, não importa quantas sondas estejam pendentes. Valores moderados (50-100) servem para as duas; para acelerar a fase UDP, use --min-hostgroup.`,
+
+    // Timing page: SCTP INIT scans
+    'timing.sctp.templateDescription': `
+        <p>A varredura SCTP INIT (<code>-sY</code>) é o equivalente SCTP da varredura TCP SYN. O Nmap envia um chunk INIT e nunca completa a associação: um <strong>INIT-ACK</strong> significa aberta, um <strong>ABORT</strong> significa fechada, e silêncio ou um ICMP unreachable significam filtrada. Os templates de temporização se comportam como no TCP: mesmos tempos limite de RTT e mesmos limites de atraso de 10ms/5ms para T4/T5.</p>
+
+        <div class="icmp-definition">
+            <strong>Por que varreduras SCTP travam:</strong> Muitos firewalls, dispositivos NAT e redes em nuvem descartam SCTP diretamente, então boa parte da varredura volta como <strong>filtrada</strong>. Cada porta filtrada custa o tempo limite de RTT completo a cada tentativa, o que faz de <code>--max-rtt-timeout</code> e <code>--max-retries</code> os ajustes que decidem a duração da varredura. Há poucos serviços SCTP (Diameter 3868, SIGTRAN M3UA 2905, S1AP 36412, X2AP 36422), então varra uma lista <code>-p</code> curta.
+        </div>
+
+        <p><strong>Referência rápida dos templates:</strong></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Template</th>
+                    <th>Atraso de varredura</th>
+                    <th>Máx. de tentativas</th>
+                    <th>Caso de uso</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong>T0 (Paranoid)</strong></td>
+                    <td>5 min</td>
+                    <td>10</td>
+                    <td>Evasão de IDS em redes de sinalização monitoradas</td>
+                </tr>
+                <tr>
+                    <td><strong>T1 (Sneaky)</strong></td>
+                    <td>15 s</td>
+                    <td>10</td>
+                    <td>Evasão de IDS, muito lento</td>
+                </tr>
+                <tr>
+                    <td><strong>T2 (Polite)</strong></td>
+                    <td>400ms</td>
+                    <td>10</td>
+                    <td>Núcleos de telecom em produção e outros equipamentos frágeis</td>
+                </tr>
+                <tr>
+                    <td><strong>T3 (Normal)</strong></td>
+                    <td>Adaptativo</td>
+                    <td>10</td>
+                    <td>Padrão; lida bem com caminhos filtrados</td>
+                </tr>
+                <tr>
+                    <td><strong>T4 (Aggressive)</strong></td>
+                    <td>10ms máx.</td>
+                    <td>6</td>
+                    <td>Laboratórios e caminhos que sabidamente deixam passar SCTP</td>
+                </tr>
+                <tr>
+                    <td><strong>T5 (Insane)</strong></td>
+                    <td>5ms máx.</td>
+                    <td>2</td>
+                    <td>Não recomendado; INITs perdidos aparecem como filtrados</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <p><strong>Como escolher o template:</strong> Nós de sinalização como STPs, MMEs e agentes Diameter costumam registrar ou limitar tentativas de associação inesperadas, então <strong>Polite (T2)</strong> ou um <code>--max-rate</code> explícito é a escolha usual em redes de produção. <strong>Insane (T5)</strong> desiste após duas tentativas e, como perdas são comuns em caminhos SCTP, relata portas abertas como filtradas.</p>
+    `,
+    'timing.sctp.fineGrained': `<strong>Controles detalhados de temporização para SCTP:</strong> As opções funcionam como no TCP, mas portas filtradas dominam as varreduras SCTP. Os <strong>tempos limite das sondas</strong> (--min-rtt-timeout, --max-rtt-timeout, --initial-rtt-timeout) são o mais importante: cada INIT descartado espera o tempo limite completo, então ajuste --max-rtt-timeout perto do RTT observado assim que conhecer o caminho. As <strong>retransmissões</strong> (--max-retries) separam pacotes perdidos de filtragem real; mantenha pelo menos 2. O <strong>tamanho do grupo de hosts</strong> (--min-hostgroup, --max-hostgroup) ajuda porque varreduras SCTP costumam cobrir poucas portas em muitos endpoints. Os <strong>atrasos de varredura</strong> (--scan-delay, --max-scan-delay) e a <strong>limitação de taxa</strong> (--min-rate, --max-rate) protegem equipamentos de sinalização, cujas tabelas de associações são pequenas. O controle de congestionamento do Nmap se adapta às perdas exatamente como nas varreduras TCP SYN.`,
+    'timing.sctp.maxScanDelay': `Atraso máximo entre sondas SCTP INIT. Use 0 para comportamento adaptativo (T3-T5). T0-T2 usam atrasos de 5min-400ms por furtividade. T4 limita a 10ms e T5 a 5ms, como no TCP. Atrasos maiores protegem equipamentos de sinalização que limitam tentativas de associação.`,
+    'timing.sctp.maxRetries': `Máximo de retransmissões de INIT antes de marcar uma porta como filtrada. O SCTP é descartado com frequência em trânsito, então as tentativas separam perdas de filtragem real. T0-T3 usam 10 tentativas, T4 usa 6 e T5 usa 2. Mantenha pelo menos 2; cada tentativa em uma porta filtrada custa um tempo limite de RTT completo.`,
+    'timing.sctp.parallelism': `Número de sondas INIT simultâneas. 0 = em série (uma de cada vez, como T0-T2). T3-T5 usam paralelismo dinâmico (normalmente 100-300+). Como as listas de portas SCTP são curtas, o paralelismo entre hosts (--min-hostgroup) costuma importar mais que o paralelismo por host.`,
+
+    // Timing page: TCP scans
+    'timing.tcp.templateDescription': `Os templates de temporização do Nmap (0-5) oferecem uma forma simples de controlar a agressividade da varredura sem configurar manualmente dezenas de parâmetros. Cada template define vários valores de temporização de uma vez: <strong>Paranoid (T0)</strong> e <strong>Sneaky (T1)</strong> serializam a varredura e adicionam longos atrasos (de 5 minutos a 15 segundos entre sondas) para evadir IDS: ideais para furtividade, mas extremamente lentos. <strong>Polite (T2)</strong> adiciona atrasos de 400ms para reduzir a banda e a carga no alvo, mas a varredura pode levar 10 vezes mais que o padrão. <strong>Normal (T3)</strong> é o padrão equilibrado com temporização adaptativa. <strong>Aggressive (T4)</strong> limita o atraso da varredura TCP a 10ms e reduz as tentativas para 6, supondo redes rápidas e confiáveis; recomendado para infraestruturas modernas. <strong>Insane (T5)</strong> minimiza todos os tempos limite (RTT máximo de 300ms, atraso TCP de 5ms, apenas 2 tentativas) para obter velocidade máxima, sacrificando um pouco de precisão. Os templates podem ser combinados com controles detalhados; as opções específicas substituem os valores padrão do template para cada parâmetro.`,
+    'timing.tcp.fineGrained': `<strong>Controles detalhados de temporização:</strong> Além dos templates, o Nmap oferece controle preciso do comportamento da varredura. O <strong>tamanho do grupo de hosts</strong> (--min-hostgroup, --max-hostgroup) determina quantos hosts são varridos ao mesmo tempo: grupos maiores são mais rápidos, mas atrasam os resultados. O <strong>paralelismo</strong> (--min-parallelism, --max-parallelism) controla as sondas simultâneas por host: valores altos aceleram a varredura, mas podem sobrecarregar os alvos ou disparar limitação de taxa. Os <strong>tempos limite das sondas</strong> (--min-rtt-timeout, --max-rtt-timeout, --initial-rtt-timeout) definem quanto o Nmap espera pelas respostas: valores baixos aceleram a varredura em redes rápidas, mas causam falsos negativos em links lentos. As <strong>retransmissões</strong> (--max-retries) determinam a persistência: mais tentativas melhoram a precisão em redes pouco confiáveis, mas deixam a varredura mais lenta. Os <strong>atrasos de varredura</strong> (--scan-delay, --max-scan-delay) inserem pausas entre sondas para evitar limitação de taxa; o TCP admite atrasos muito baixos (5ms com T5). A <strong>limitação de taxa</strong> (--min-rate, --max-rate) controla diretamente os pacotes por segundo. Os algoritmos adaptativos do Nmap (controle de congestionamento, estimativa de RTT, recuo exponencial) ajustam esses parâmetros dinamicamente conforme as condições de rede detectadas, a perda de pacotes e a latência, equilibrando velocidade e precisão sem ajuste manual.`,
+    'timing.tcp.maxScanDelay': `Atraso máximo entre sondas. Use 0 para comportamento adaptativo (T3-T5). T0-T2 usam atrasos de 5min-400ms por furtividade. T4 limita a 10ms e T5 a 5ms. Atrasos maiores evitam limitação de taxa e detecção por IDS, mas deixam a varredura muito mais lenta.`,
+    'timing.tcp.maxRetries': `Máximo de retransmissões de uma sonda antes de desistir. Valores maiores melhoram a precisão em redes pouco confiáveis, mas deixam a varredura mais lenta. T0-T3 usam 10 tentativas, T4 usa 6 e T5 usa 2. Use 0 para a varredura mais rápida, com menor precisão.`,
+    'timing.tcp.parallelism': `Número de sondas enviadas simultaneamente. 0 = em série (uma de cada vez, como T0-T2). T3-T5 usam paralelismo dinâmico (normalmente 100-300+). Valores maiores aceleram a varredura, mas podem sobrecarregar os alvos ou disparar limitação de taxa.`
+});